@@ -1,7 +1,25 @@
+// Fração das partículas criadas em cada tier (low: nenhuma), multiplicada pela degradação.
+// <html data-tier> e <html data-degrade> vêm do performance-optimizer.js; até o primeiro
+// ultra:tier-change vale medium, e sem travamentos não há data-degrade
+const PARTICLE_TIER_SCALE = { high: 1, medium: 0.5, low: 0 };
+const PARTICLE_DEGRADE_SCALE = { none: 1, reduce: 0.5, stop: 0 };
+let particleScale = null;
+
+// Cria (ou recria, quando o tier ou a degradação mudam) as duas camadas de partículas
+function renderParticlesForTier() {
+    const scale = PARTICLE_TIER_SCALE[document.documentElement.dataset.tier || 'medium'] * PARTICLE_DEGRADE_SCALE[document.documentElement.dataset.degrade || 'none'];
+    if (scale === particleScale) return;
+    particleScale = scale;
+
+    createElegantParticles(scale);
+    createNeuralParticles(scale);
+}
+
 // Criar partículas douradas elegantes
-function createElegantParticles() {
+function createElegantParticles(scale) {
     const elegantContainer = document.getElementById('elegant-particles');
-    const elegantCount = 45;
+    const elegantCount = Math.round(45 * scale);
+    elegantContainer.textContent = '';
 
     for (let i = 0; i < elegantCount; i++) {
         const particle = document.createElement('div');
@@ -15,9 +33,10 @@ function createElegantParticles() {
 }
 
 // Criar partículas neurais laranja
-function createNeuralParticles() {
+function createNeuralParticles(scale) {
     const neuralContainer = document.getElementById('neural-particles');
-    const neuralCount = 35;
+    const neuralCount = Math.round(35 * scale);
+    neuralContainer.textContent = '';
 
     for (let i = 0; i < neuralCount; i++) {
         const particle = document.createElement('div');
@@ -30,48 +49,102 @@ function createNeuralParticles() {
     }
 }
 
+// Leituras e escritas de layout pelo measure/mutate do performance-optimizer.js, que agrupa
+// todas as leituras antes das escritas em cada frame (rAF simples enquanto ele não carregou)
+function measureLayout(fn) {
+    if (window.ultraOptimizer) return window.ultraOptimizer.measure(fn);
+    return new Promise(resolve => requestAnimationFrame(() => resolve(fn())));
+}
+
+function mutateLayout(fn) {
+    if (window.ultraOptimizer) return window.ultraOptimizer.mutate(fn);
+    return new Promise(resolve => requestAnimationFrame(() => resolve(fn())));
+}
+
 // Efeito 3D harmônico
 function addHarmonicInteraction() {
     const cards = document.querySelectorAll('.service-card');
     
     cards.forEach(card => {
+        // Último ponteiro sobre o card; vários mousemove no mesmo frame viram uma leitura
+        let pointer = null;
+        let framePending = false;
+
         card.addEventListener('mousemove', (e) => {
-            const rect = card.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const centerX = rect.width / 2;
-            const centerY = rect.height / 2;
-            
-            const deltaX = (x - centerX) / centerX;
-            const deltaY = (y - centerY) / centerY;
-            
-            card.style.transform = `
-                perspective(1000px) 
-                rotateX(${deltaY * 3}deg) 
-                rotateY(${deltaX * 3}deg) 
-                translateZ(8px)
-                scale(1.02)
-            `;
+            if (document.documentElement.dataset.tier === 'low') return;
+            pointer = { x: e.clientX, y: e.clientY };
+            if (framePending) return;
+            framePending = true;
+
+            measureLayout(() => {
+                framePending = false;
+                // O mouse saiu antes do frame: o mouseleave já restaurou o card
+                if (!pointer) return;
+
+                const rect = card.getBoundingClientRect();
+                const x = pointer.x - rect.left;
+                const y = pointer.y - rect.top;
+                
+                const centerX = rect.width / 2;
+                const centerY = rect.height / 2;
+                
+                const deltaX = (x - centerX) / centerX;
+                const deltaY = (y - centerY) / centerY;
+                
+                mutateLayout(() => {
+                    card.style.transform = `
+                        perspective(1000px) 
+                        rotateX(${deltaY * 3}deg) 
+                        rotateY(${deltaX * 3}deg) 
+                        translateZ(8px)
+                        scale(1.02)
+                    `;
+                });
+            });
         });
         
         card.addEventListener('mouseleave', () => {
-            card.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) translateZ(0px) scale(1)';
+            pointer = null;
+            mutateLayout(() => {
+                card.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) translateZ(0px) scale(1)';
+            });
         });
     });
 }
 
-// Parallax harmônico
+// Parallax harmônico: uma leitura do scroll e uma escrita por frame
+let parallaxFramePending = false;
+
 function handleHarmonicParallax() {
-    const scrolled = window.pageYOffset;
-    const cards = document.querySelectorAll('.service-card');
-    
-    cards.forEach((card, index) => {
-        const speed = 0.03 + (index * 0.008);
-        const yPos = -(scrolled * speed);
-        if (Math.abs(yPos) < 12) {
-            card.style.transform = `translateY(${yPos}px)`;
-        }
+    if (parallaxFramePending || document.documentElement.dataset.tier === 'low') return;
+    parallaxFramePending = true;
+
+    measureLayout(() => {
+        parallaxFramePending = false;
+        const scrolled = window.pageYOffset;
+        
+        mutateLayout(() => {
+            const cards = document.querySelectorAll('.service-card');
+            
+            cards.forEach((card, index) => {
+                const speed = 0.03 + (index * 0.008);
+                const yPos = -(scrolled * speed);
+                if (Math.abs(yPos) < 12) {
+                    card.style.transform = `translateY(${yPos}px)`;
+                }
+            });
+        });
+    });
+}
+
+// Qualquer degradação (ultra:degrade) desliga o parallax e devolve os cards ao lugar
+function stopHarmonicParallax() {
+    window.removeEventListener('scroll', handleHarmonicParallax);
+
+    mutateLayout(() => {
+        document.querySelectorAll('.service-card').forEach(card => {
+            card.style.transform = '';
+        });
     });
 }
 
@@ -629,7 +702,7 @@ function showServiceMasteryReward() {
             color: #0a0a0a;
             padding: 25px;
             border-radius: 20px;
-            font-family: 'Inter', sans-serif;
+            font-family: 'Inter', 'Inter Fallback', sans-serif;
             font-weight: 600;
             text-align: center;
             z-index: 1000;
@@ -670,7 +743,7 @@ function showUltimateMasteryReward() {
             color: #0a0a0a;
             padding: 30px;
             border-radius: 25px;
-            font-family: 'Inter', sans-serif;
+            font-family: 'Inter', 'Inter Fallback', sans-serif;
             font-weight: 700;
             text-align: center;
             z-index: 1000;
@@ -752,8 +825,9 @@ serviceStyleSheet.textContent = serviceRewardStyles;
 document.head.appendChild(serviceStyleSheet);
 
 document.addEventListener('DOMContentLoaded', function() {
-    createElegantParticles();
-    createNeuralParticles();
+    renderParticlesForTier();
+    window.addEventListener('ultra:tier-change', renderParticlesForTier);
+    window.addEventListener('ultra:degrade', renderParticlesForTier);
     addHarmonicInteraction();
     
     // Inicializar sistema de revelação (apenas mobile)
@@ -764,6 +838,13 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Parallax suave apenas no desktop
     if (window.innerWidth > 768) {
-        window.addEventListener('scroll', handleHarmonicParallax);
+        window.addEventListener('scroll', handleHarmonicParallax, { passive: true });
+        window.addEventListener('ultra:degrade', stopHarmonicParallax, { once: true });
+    }
+    
+    // Deep link (?service=automacao - ver index.html raiz): abrir o serviço pedido
+    const requestedService = new URLSearchParams(window.location.search).get('service');
+    if (requestedService && Object.prototype.hasOwnProperty.call(modalData, requestedService)) {
+        openModal(requestedService);
     }
 });
\ No newline at end of file
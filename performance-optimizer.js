@@ -1,67 +1,294 @@
 // Dynamic Solutions Ultra Performance Optimizer
 // Sistema proprietário de otimização de performance para GitHub Pages
 
+// Oferta de instalação (PWA): depois de "Agora não", só volta após este intervalo
+const INSTALL_DISMISSED_KEY = 'ds-install-dismissed';
+const INSTALL_DISMISS_DURATION = 14 * 24 * 60 * 60 * 1000;
+
+// Real-user monitoring: um beacon por page view. Desligado por padrão (o GitHub Pages não tem
+// coletor); cada ambiente liga na tag (<script src="performance-optimizer.js" data-rum-endpoint="...">)
+// ou em window.ultraOptimizerOptions.rum.endpoint.
+const OPTIMIZER_SCRIPT = document.currentScript;
+const RUM_DEFAULT_ENDPOINT = '';
+const RUM_SCHEMA_VERSION = 2;
+
+// Web Vitals: janelas de sessão do CLS e agrupamento de interações do INP (definições do Chrome)
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_MAX_DURATION = 5000;
+const INP_DURATION_THRESHOLD = 40;
+const INP_MAX_TRACKED_INTERACTIONS = 10;
+
+// Orçamentos de performance: o default vale para todas as páginas e cada entrada de
+// PAGE_BUDGETS sobrescreve limites para os caminhos listados (prefixo do pathname).
+//   scriptBytes / styleBytes / imageBytes   soma do encodedBodySize (comprimido, da rede ou do cache HTTP)
+//   thirdPartyRequests                      requisições para outras origens
+//   lcp / inp                               milissegundos
+// Respostas do service worker não entram nos bytes: o corpo vem de um blob sem content-encoding
+// (encodedBodySize seria o tamanho descomprimido) e não custa rede.
+const DEFAULT_BUDGET = {
+    scriptBytes: 300 * 1024,
+    styleBytes: 120 * 1024,
+    imageBytes: 500 * 1024,
+    thirdPartyRequests: 4,
+    lcp: 2500,
+    inp: 200
+};
+
+// Funil de conversão: assessment e dashboard precisam ser mais rápidos que a home
+const PAGE_BUDGETS = [
+    {
+        paths: ['/assessment/', '/strategic-assessment/', '/strategic-assessment-new/'],
+        budget: { scriptBytes: 60 * 1024, imageBytes: 400 * 1024, thirdPartyRequests: 2, lcp: 2000, inp: 150 }
+    },
+    {
+        // Chart.js sozinho ocupa ~200 KB
+        paths: ['/analytics-dashboard/'],
+        budget: { scriptBytes: 260 * 1024, imageBytes: 400 * 1024, thirdPartyRequests: 2, lcp: 2000, inp: 150 }
+    }
+];
+
+// Relatório consolidado (evento ultra:budget-report) depois do load, com os recursos tardios
+const BUDGET_REPORT_DELAY = 5000;
+
+// Pool de workers do runTask: criados sob demanda, até hardwareConcurrency - 1 (máx. 4)
+const TASK_POOL_MAX_SIZE = 4;
+const TASK_DEFAULT_TIMEOUT = 10000;
+
+// Tier do aparelho (getTier): do mais fraco ao mais forte. O frame rate é amostrado com
+// requestAnimationFrame depois do load e de novo a cada intervalo, com a aba visível.
+const DEVICE_TIERS = ['low', 'medium', 'high'];
+const TIER_FPS_SAMPLE_DURATION = 1000;
+const TIER_FPS_RESAMPLE_INTERVAL = 30000;
+const TIER_LOW_FPS = 30;
+const TIER_MEDIUM_FPS = 50;
+
+// Travamentos (ultra:degrade): Long Animation Frames, ou Long Tasks sem LoAF, numa janela de
+// jank.windowDuration a partir do load; sem nenhum dos dois, um FPS móvel na mesma janela. O
+// nível só sobe, como o tier.
+const DEGRADE_LEVELS = ['none', 'reduce', 'stop'];
+const JANK_BLOCKING_THRESHOLD = 50;     // ms de um frame/task além disto contam como bloqueio
+const JANK_CHECK_INTERVAL = 1000;
+const JANK_MAX_CULPRITS = 3;
+
+// Listas virtuais ([data-virtual-scroll] ou createVirtualList): linhas extras acima/abaixo
+// da área visível e altura estimada das linhas ainda não medidas
+const VIRTUAL_DEFAULT_OVERSCAN = 3;
+const VIRTUAL_DEFAULT_ITEM_HEIGHT = 50;
+
+// Prefetch: Speculation Rules (document rules por eagerness) onde houver suporte; senão um
+// IntersectionObserver nos links internos + hover/foco. Os <link rel=prefetch> do optimizer
+// passam por uma fila com limite de concorrência e de bytes; nada é baixado com Save-Data ou 2g.
+// Formatos testados com uma imagem de 1px para o prefetch preditivo: o sw.js escolhe no <picture>
+// da próxima página o mesmo <source> que o navegador escolheria
+const IMAGE_TYPE_PROBES = {
+    'image/avif': 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAABoAAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAEAAAABAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQAMAAAAABNjb2xybmNseAACAAIABoAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACJtZGF0EgAKCBgABggQEDQgMgwYAAooooQAALATS9g=',
+    'image/webp': 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+const PREFETCH_LINK_SELECTOR = 'a[href]:not([data-no-prefetch]):not([download])';
+const PREFETCH_VIEWPORT_MARGIN = '200px';
+const PREFETCH_INTENT_DELAY = 100;
+
+// Imagens responsivas (scripts/build-responsive-images.js): <picture> com data-srcset e um
+// placeholder desfocado, trocado pela imagem real um pouco antes de entrar na tela
+const IMAGE_REVEAL_MARGIN = '200px';
+const IMAGE_PLACEHOLDER_CLASS = 'responsive-placeholder';
+
+// Subsistemas e suas configurações. Cada chave aceita false (desliga) ou um objeto que
+// sobrescreve estes campos, por ordem de prioridade:
+//   1. new UltraPerformanceOptimizer(options) / window.ultraOptimizerOptions (instância automática)
+//   2. data- na tag do script: data-prefetch="false" desliga, data-prefetch-hover="false" configura
+//      (listas separadas por vírgula: data-fonts-preload="/a.woff2, /b.woff2")
+//   3. estes padrões
+const OPTIMIZER_DEFAULTS = {
+    tier: { sampleFrameRate: true },        // false: calcula uma vez, sem acompanhar mudanças
+    jank: {
+        windowDuration: 5000,               // janela móvel (ms) do tempo bloqueado e do FPS
+        blockingTime: 1000,                 // ms bloqueados na janela que sobem um nível
+        minFps: 20                          // FPS médio abaixo disto sobe um nível (sem LoAF/Long Tasks)
+    },
+    resourceHints: {
+        prefetch: ['/about/index.html', '/assessment/index.html'],
+        preloadImages: []                   // o logo tem preload próprio (imagesrcset) nas páginas
+    },
+    serviceWorker: { url: '/sw.js', scope: '/' },
+    installPrompt: {},
+    prefetch: {
+        hover: true,
+        viewport: true,
+        predicted: true,
+        prerender: 'conservative',          // eagerness do prerender (Speculation Rules); false desliga
+        maxConcurrent: 2,
+        maxBytes: 500 * 1024,
+        maxEager: 2                         // links na tela especulados (Speculation Rules) por página
+    },
+    rendering: { rafAnimations: true, lazyLoading: true },
+    monitoring: { budgets: true },
+    rum: { endpoint: RUM_DEFAULT_ENDPOINT },
+    virtualScroll: { overscan: VIRTUAL_DEFAULT_OVERSCAN, itemHeight: VIRTUAL_DEFAULT_ITEM_HEIGHT },
+    fonts: { preload: [] },
+    images: {},
+    workers: {
+        url: '/task-worker.js',             // handlers do runTask, chamados pelo nome
+        poolSize: 0                         // 0: hardwareConcurrency - 1 (máx. 4)
+    }
+};
+
 class UltraPerformanceOptimizer {
-    constructor() {
+    constructor(options = {}) {
+        this.options = this.resolveOptions(options);
+        this.cleanups = [];
+        this.destroyed = false;
+
         this.metrics = {
             fcp: 0,
             lcp: 0,
-            fid: 0,
+            inp: 0,
             cls: 0,
             ttfb: 0
         };
         
+        // Elemento/recurso responsável por cada métrica (ver getAttribution)
+        this.attribution = {
+            lcp: null,
+            cls: null,
+            inp: null
+        };
+        
         this.observers = new Map();
         this.resourceHints = new Set();
         this.criticalCSS = new Set();
         this.deferredAssets = [];
-        
+        this.virtualLists = new Map();
+        this.prefetchState = { queue: [], inFlight: 0, bytes: 0, speculated: [] };
+
+        // Orçamentos vazios até o monitoring preencher (getBudgetReport funciona sem ele)
+        this.budget = {};
+        this.budgetUsage = {};
+        this.budgetViolations = new Map();
+
+        // 'none' até a detecção de travamentos rebaixar (ver getDegradeLevel)
+        this.degradeLevel = DEGRADE_LEVELS[0];
+
         this.init();
     }
 
     init() {
+        const enabled = name => this.options[name] !== false;
+
+        // Tier primeiro: os outros sistemas (e as páginas) leem getTier()
+        this.setupDeviceTier();
+        if (enabled('jank')) this.setupJankDetection();
+
+        // Base do measure/mutate, usada também pelas listas virtuais
+        this.setupRepaintOptimization();
+
         // Aggressive performance optimizations
-        this.injectCriticalCSS();
-        this.setupResourceHints();
-        this.initServiceWorker();
-        this.setupIntelligentPrefetching();
-        this.optimizeRendering();
-        this.setupPerformanceMonitoring();
-        this.implementVirtualScrolling();
-        this.optimizeWebFonts();
-        this.setupImageOptimization();
+        if (enabled('resourceHints')) this.setupResourceHints();
+        if (enabled('serviceWorker')) this.initServiceWorker();
+        if (enabled('installPrompt')) this.setupInstallPrompt();
+        if (enabled('prefetch')) this.setupIntelligentPrefetching();
+        if (enabled('rendering')) this.optimizeRendering();
+        if (enabled('monitoring')) this.setupPerformanceMonitoring();
+        if (enabled('rum')) this.setupRumReporting();
+        if (enabled('virtualScroll')) this.implementVirtualScrolling();
+        if (enabled('fonts')) this.optimizeWebFonts();
+        if (enabled('images')) {
+            this.setupImageOptimization();
+        } else {
+            // Sem o observer, os placeholders viram imagens reais de imediato
+            document.querySelectorAll('img[data-srcset], img[data-src]').forEach(img => this.revealImage(img, 0));
+        }
         this.initWebWorkers();
     }
 
-    // Critical CSS injection inline
-    injectCriticalCSS() {
-        const criticalStyles = `
-            /* Critical rendering path optimization */
-            html{line-height:1.15;-webkit-text-size-adjust:100%}
-            body{margin:0;font-family:Inter,sans-serif;background:#000;color:#E5E5E5;overflow-x:hidden}
-            .hidden{display:none!important;visibility:hidden!important}
-            .loading{opacity:0;transform:translateY(20px)}
-            .loaded{opacity:1;transform:translateY(0);transition:opacity .3s,transform .3s}
-        `;
-        
-        const style = document.createElement('style');
-        style.textContent = criticalStyles;
-        style.setAttribute('data-critical', 'true');
-        document.head.insertBefore(style, document.head.firstChild);
+    // Padrões < data- da tag do script < options do construtor
+    resolveOptions(options) {
+        const scriptOptions = this.getScriptOptions();
+        const resolved = {};
+
+        Object.entries(OPTIMIZER_DEFAULTS).forEach(([name, defaults]) => {
+            const fromScript = scriptOptions[name];
+            const fromOptions = options[name];
+
+            if (fromOptions === false || (fromOptions === undefined && fromScript === false)) {
+                resolved[name] = false;
+                return;
+            }
+
+            resolved[name] = {
+                ...defaults,
+                ...(fromScript || {}),
+                ...(typeof fromOptions === 'object' ? fromOptions : {})
+            };
+        });
+
+        return resolved;
+    }
+
+    // data-<subsistema>="false" desliga; data-<subsistema>-<campo> configura, convertido pelo
+    // tipo do padrão (ex.: data-workers-pool-size="2", data-rum-endpoint="")
+    getScriptOptions() {
+        const dataset = OPTIMIZER_SCRIPT ? OPTIMIZER_SCRIPT.dataset : {};
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        const scriptOptions = {};
+
+        Object.entries(OPTIMIZER_DEFAULTS).forEach(([name, defaults]) => {
+            if (dataset[name] === 'false') {
+                scriptOptions[name] = false;
+                return;
+            }
+
+            const settings = {};
+            Object.entries(defaults).forEach(([setting, fallback]) => {
+                const value = dataset[name + capitalize(setting)];
+                if (value === undefined) return;
+
+                if (Array.isArray(fallback)) {
+                    settings[setting] = value.split(',').map(item => item.trim()).filter(Boolean);
+                } else if (typeof fallback === 'boolean') {
+                    settings[setting] = value !== 'false';
+                } else if (typeof fallback === 'number') {
+                    settings[setting] = Number(value) || fallback;
+                } else {
+                    settings[setting] = value === 'false' ? false : value.trim();
+                }
+            });
+            scriptOptions[name] = settings;
+        });
+
+        return scriptOptions;
+    }
+
+    // addEventListener que o destroy() desfaz
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Executa fn quando a página terminar de carregar (ou já, se carregou)
+    onLoad(fn) {
+        if (document.readyState === 'complete') {
+            fn();
+        } else {
+            this.listen(window, 'load', fn, { once: true });
+        }
     }
 
     // Advanced resource hints
     setupResourceHints() {
+        const { prefetch, preloadImages } = this.options.resourceHints;
         const hints = [
-            { rel: 'preconnect', href: 'https://fonts.googleapis.com', crossorigin: true },
-            { rel: 'preconnect', href: 'https://fonts.gstatic.com', crossorigin: true },
-            { rel: 'dns-prefetch', href: '//cdnjs.cloudflare.com' },
-            { rel: 'prefetch', href: '/about/index.html' },
-            { rel: 'prefetch', href: '/assessment/index.html' },
-            { rel: 'preload', href: '/image/Logo oficial.png', as: 'image' }
+            ...prefetch.map(href => ({ rel: 'prefetch', href })),
+            ...preloadImages.map(href => ({ rel: 'preload', href, as: 'image' }))
         ];
 
         hints.forEach(hint => {
+            // Prefetches seguem a fila (orçamento, conexão, própria página)
+            if (hint.rel === 'prefetch') {
+                this.prefetchResource(hint.href);
+                return;
+            }
+
             if (!this.resourceHints.has(hint.href)) {
                 const link = document.createElement('link');
                 Object.keys(hint).forEach(key => {
@@ -81,64 +308,275 @@ class UltraPerformanceOptimizer {
     async initServiceWorker() {
         if ('serviceWorker' in navigator) {
             try {
-                const registration = await navigator.serviceWorker.register('/sw.js', {
-                    scope: '/',
+                const registration = await navigator.serviceWorker.register(this.options.serviceWorker.url, {
+                    scope: this.options.serviceWorker.scope,
                     updateViaCache: 'none'
                 });
 
+                // destroy() antes do registro terminar: o worker fica registrado, sem listeners
+                if (this.destroyed) return;
+
+                this.swRegistration = registration;
+
+                // Worker já instalado aguardando (atualização baixada em visita anterior)
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdateNotification(registration.waiting);
+                }
+
                 // Handle updates
-                registration.addEventListener('updatefound', () => {
+                this.listen(registration, 'updatefound', () => {
                     const newWorker = registration.installing;
-                    newWorker.addEventListener('statechange', () => {
+                    this.listen(newWorker, 'statechange', () => {
                         if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
                             // New content available
-                            this.showUpdateNotification();
+                            this.showUpdateNotification(newWorker);
                         }
                     });
                 });
 
+                // Recarregar uma única vez quando o novo worker assumir - só após confirmação,
+                // para não recarregar a primeira visita quando o worker faz clients.claim()
+                this.listen(navigator.serviceWorker, 'controllerchange', () => {
+                    if (this.updateAccepted && !this.isReloading) {
+                        this.isReloading = true;
+                        window.location.reload();
+                    }
+                });
+
                 // Message channel for communication
-                navigator.serviceWorker.addEventListener('message', event => {
+                this.listen(navigator.serviceWorker, 'message', event => {
                     this.handleServiceWorkerMessage(event.data);
                 });
 
+                // Fallback sem Background Sync: reenviar o outbox quando a conexão voltar
+                this.listen(window, 'online', () => {
+                    this.postToServiceWorker({ type: 'REPLAY_OUTBOX' });
+                });
+
             } catch (error) {
                 console.log('SW registration failed:', error);
             }
         }
     }
 
+    // PWA: o prompt nativo de instalação fica guardado até um momento oportuno (offerInstall)
+    setupInstallPrompt() {
+        this.installPromptEvent = null;
+
+        this.listen(window, 'beforeinstallprompt', event => {
+            event.preventDefault();
+            this.installPromptEvent = event;
+            this.emit('installable', { platforms: event.platforms });
+        });
+
+        this.listen(window, 'appinstalled', () => {
+            this.installPromptEvent = null;
+            this.emit('installed', {});
+        });
+    }
+
+    isStandalone() {
+        return window.matchMedia('(display-mode: standalone)').matches || navigator.standalone === true;
+    }
+
+    isInstallDismissed() {
+        try {
+            const dismissedAt = Number(localStorage.getItem(INSTALL_DISMISSED_KEY)) || 0;
+            return Date.now() - dismissedAt < INSTALL_DISMISS_DURATION;
+        } catch {
+            return false;
+        }
+    }
+
+    rememberInstallDismissal() {
+        try {
+            localStorage.setItem(INSTALL_DISMISSED_KEY, String(Date.now()));
+        } catch {
+            // Armazenamento indisponível (modo privado): a oferta pode reaparecer
+        }
+    }
+
     // Intelligent prefetching based on user behavior
     setupIntelligentPrefetching() {
-        // Intersection Observer for predictive loading
-        const prefetchObserver = new IntersectionObserver((entries) => {
+        const { hover, viewport, predicted } = this.options.prefetch;
+
+        if (HTMLScriptElement.supports && HTMLScriptElement.supports('speculationrules')) {
+            this.setupSpeculationRules();
+        } else {
+            if (viewport) this.setupPrefetchLinkWatcher();
+            if (hover) this.setupPrefetchIntent();
+        }
+
+        // Save-Data ligado ou conexão caindo para 2g: as regras saem (e voltam depois)
+        const connection = navigator.connection;
+        if (connection && connection.addEventListener) {
+            this.listen(connection, 'change', () => this.updateSpeculationRules());
+        }
+
+        // Prefetch preditivo: próximas páginas mais prováveis segundo o histórico do sw.js
+        if (predicted) {
+            this.onLoad(() => this.prefetchPredictedRoutes());
+        }
+    }
+
+    isConstrainedConnection() {
+        const connection = navigator.connection;
+        return Boolean(connection && (connection.saveData || /2g/.test(connection.effectiveType)));
+    }
+
+    // O navegador decide quando buscar e limita as especulações moderate/conservative (no Chrome,
+    // no máximo 2 ativas); o optimizer só descreve quais links valem. Os links na tela não usam a
+    // eagerness eager das document rules (até 50 páginas no Chrome): entram numa lista limitada
+    setupSpeculationRules() {
+        const { hover, viewport, prerender } = this.options.prefetch;
+        const currentPage = window.location.pathname.replace(/index\.html$/, '');
+
+        const where = {
+            and: [
+                { href_matches: '/*' },
+                { not: { href_matches: [`${currentPage}?*`, `${currentPage}index.html?*`] } },
+                { not: { selector_matches: '[data-no-prefetch], [download]' } }
+            ]
+        };
+        this.speculationRules = {
+            // moderate: hover; conservative: toque/clique
+            prefetch: [{ source: 'document', where, eagerness: hover ? 'moderate' : 'conservative' }]
+        };
+        if (prerender) {
+            this.speculationRules.prerender = [{ source: 'document', where, eagerness: prerender }];
+        }
+
+        this.cleanups.push(() => this.speculationScript.remove());
+        this.renderSpeculationRules();
+
+        if (viewport) this.setupPrefetchLinkWatcher();
+    }
+
+    // As regras de um <script> já inserido não são relidas: cada mudança troca o script inteiro
+    renderSpeculationRules() {
+        const { prefetch, prerender } = this.speculationRules;
+        const eagerUrls = this.prefetchState.speculated;
+        const rules = {
+            prefetch: eagerUrls.length > 0
+                ? [...prefetch, { source: 'list', urls: eagerUrls, eagerness: 'eager' }]
+                : prefetch
+        };
+        if (prerender) rules.prerender = prerender;
+
+        const script = document.createElement('script');
+        script.type = 'speculationrules';
+        script.textContent = JSON.stringify(rules);
+
+        if (this.speculationScript && this.speculationScript.isConnected) {
+            this.speculationScript.replaceWith(script);
+        }
+        this.speculationScript = script;
+
+        this.updateSpeculationRules();
+    }
+
+    // Remover o <script> cancela as especulações dele
+    updateSpeculationRules() {
+        if (!this.speculationScript) return;
+
+        if (this.isConstrainedConnection()) {
+            this.speculationScript.remove();
+        } else if (!this.speculationScript.isConnected) {
+            document.head.appendChild(this.speculationScript);
+        }
+    }
+
+    // Um observer para todos os links internos: com Speculation Rules os visíveis entram na
+    // lista eager (speculateEagerly), sem elas na fila de <link rel=prefetch>
+    setupPrefetchLinkWatcher() {
+        const linkObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    const links = entry.target.querySelectorAll('a[href^="/"], a[href^="./"], a[href^="../"]');
-                    links.forEach(link => this.prefetchResource(link.href));
+                    if (this.speculationRules) {
+                        this.speculateEagerly(entry.target.href);
+                    } else {
+                        this.prefetchResource(entry.target.href);
+                    }
+                    linkObserver.unobserve(entry.target);
                 }
             });
         }, {
-            rootMargin: '50px'
+            rootMargin: PREFETCH_VIEWPORT_MARGIN
         });
+        this.observers.set('prefetch', linkObserver);
 
-        // Observe navigation sections
-        document.querySelectorAll('nav, .navigation, .menu').forEach(nav => {
-            prefetchObserver.observe(nav);
+        document.querySelectorAll(PREFETCH_LINK_SELECTOR).forEach(link => {
+            if (this.isPrefetchCandidate(link.href)) {
+                linkObserver.observe(link);
+            }
         });
+    }
 
-        // Mouse hover prefetching
-        document.addEventListener('mouseover', this.debounce((event) => {
-            const link = event.target.closest('a');
-            if (link && this.isInternalLink(link.href)) {
-                this.prefetchResource(link.href);
-            }
-        }, 100));
+    // Os bytes das especulações não aparecem no Resource Timing da página, então o maxBytes não
+    // as alcança: a lista eager para em maxEager páginas e o observer dos links é desligado
+    speculateEagerly(href) {
+        if (this.destroyed) return;
+
+        const url = new URL(href, window.location.href);
+        url.hash = '';
+
+        const speculated = this.prefetchState.speculated;
+        if (speculated.includes(url.href)) return;
+
+        speculated.push(url.href);
+        this.renderSpeculationRules();
+
+        if (speculated.length >= this.getPrefetchOptions().maxEager && this.observers.has('prefetch')) {
+            this.observers.get('prefetch').disconnect();
+            this.observers.delete('prefetch');
+        }
+    }
+
+    // Hover ou foco num link: prefetch antes do clique
+    setupPrefetchIntent() {
+        const onIntent = this.debounce(event => {
+            const link = event.target.closest && event.target.closest(PREFETCH_LINK_SELECTOR);
+            if (link) this.prefetchResource(link.href);
+        }, PREFETCH_INTENT_DELAY);
+
+        this.listen(document, 'pointerover', onIntent, { passive: true });
+        this.listen(document, 'focusin', onIntent);
+    }
+
+    // Dispara PREFETCH_ROUTES para as previsões; o sw.js baixa o que a página prevista usa e
+    // ainda não está em cache (as variantes de imagem deste viewport/formato), até o que sobrou
+    // do orçamento de bytes. Nada é baixado com Save-Data ou em conexões 2g
+    async prefetchPredictedRoutes() {
+        if (this.isConstrainedConnection()) return;
+
+        const predictions = await this.getNavigationPredictions();
+        const byteBudget = this.getPrefetchOptions().maxBytes - this.prefetchState.bytes;
 
-        // Viewport-based prefetching
-        window.addEventListener('scroll', this.throttle(() => {
-            this.prefetchVisibleLinks();
-        }, 200));
+        if (predictions && predictions.length > 0 && byteBudget > 0) {
+            this.postToServiceWorker({
+                type: 'PREFETCH_ROUTES',
+                routes: predictions.map(prediction => prediction.url),
+                byteBudget,
+                device: {
+                    viewportWidth: window.innerWidth,
+                    devicePixelRatio: window.devicePixelRatio || 1,
+                    imageTypes: await this.detectImageTypes()
+                }
+            });
+        }
+    }
+
+    // Formatos de IMAGE_TYPE_PROBES que o navegador decodifica (testados uma vez por página)
+    detectImageTypes() {
+        if (!this.imageTypesDetection) {
+            this.imageTypesDetection = Promise.all(Object.entries(IMAGE_TYPE_PROBES).map(([type, dataUrl]) => {
+                const img = new Image();
+                img.src = dataUrl;
+                return img.decode().then(() => type, () => null);
+            })).then(types => types.filter(Boolean));
+        }
+
+        return this.imageTypesDetection;
     }
 
     // Rendering optimization
@@ -147,13 +585,14 @@ class UltraPerformanceOptimizer {
         this.setupLayoutOptimization();
         
         // Optimize animations
-        this.optimizeAnimations();
-        
-        // Setup efficient repaints
-        this.setupRepaintOptimization();
+        if (this.options.rendering.rafAnimations) {
+            this.optimizeAnimations();
+        }
         
         // Lazy load non-critical elements
-        this.setupLazyLoading();
+        if (this.options.rendering.lazyLoading) {
+            this.setupLazyLoading();
+        }
     }
 
     setupLayoutOptimization() {
@@ -212,19 +651,20 @@ class UltraPerformanceOptimizer {
         };
         
         // Start/stop based on visibility
-        document.addEventListener('visibilitychange', () => {
+        this.listen(document, 'visibilitychange', () => {
             if (document.hidden) {
                 stopAnimation();
             } else {
                 startAnimation();
             }
         });
+        this.cleanups.push(stopAnimation);
         
         startAnimation();
     }
 
     setupRepaintOptimization() {
-        // Batch DOM reads and writes
+        // Batch DOM reads and writes (alimentada por measure/mutate)
         this.readWriteQueue = [];
         this.isFlushingQueue = false;
         
@@ -232,8 +672,9 @@ class UltraPerformanceOptimizer {
             if (!this.isFlushingQueue) {
                 this.isFlushingQueue = true;
                 requestAnimationFrame(() => {
-                    this.flushQueue();
+                    // Liberado antes do flush: tasks agendadas durante ele pedem um novo frame
                     this.isFlushingQueue = false;
+                    this.flushQueue();
                 });
             }
         };
@@ -241,16 +682,52 @@ class UltraPerformanceOptimizer {
 
     flushQueue() {
         // Separate reads and writes
-        const reads = this.readWriteQueue.filter(task => task.type === 'read');
-        const writes = this.readWriteQueue.filter(task => task.type === 'write');
+        const queue = this.readWriteQueue;
+        this.readWriteQueue = [];
         
-        // Execute all reads first
-        reads.forEach(task => task.fn());
+        const reads = queue.filter(task => task.type === 'read');
+        const writes = queue.filter(task => task.type === 'write');
         
-        // Then all writes
-        writes.forEach(task => task.fn());
+        // Execute all reads first. Um measure dentro de um measure entra nesta mesma fase
+        // e um mutate dentro de um measure, na fase de escrita deste frame.
+        this.currentFlush = { reads, writes, phase: 'read' };
+        for (let i = 0; i < reads.length; i++) {
+            this.runQueuedTask(reads[i]);
+        }
         
-        this.readWriteQueue = [];
+        // Then all writes. Um measure dentro de um mutate fica para o próximo frame
+        // (ler aqui forçaria um layout síncrono); mutate dentro de mutate segue nesta fase.
+        this.currentFlush.phase = 'write';
+        for (let i = 0; i < writes.length; i++) {
+            this.runQueuedTask(writes[i]);
+        }
+        
+        this.currentFlush = null;
+    }
+
+    enqueueDomTask(type, fn) {
+        return new Promise((resolve, reject) => {
+            const task = { type, fn, resolve, reject };
+            const flush = this.currentFlush;
+
+            if (flush && type === 'write') {
+                flush.writes.push(task);
+            } else if (flush && flush.phase === 'read') {
+                flush.reads.push(task);
+            } else {
+                this.readWriteQueue.push(task);
+                this.scheduleFlush();
+            }
+        });
+    }
+
+    // Uma task que lança só rejeita a própria promise; o resto do frame segue normalmente
+    runQueuedTask(task) {
+        try {
+            task.resolve(task.fn());
+        } catch (error) {
+            task.reject(error);
+        }
     }
 
     // Advanced lazy loading
@@ -266,6 +743,7 @@ class UltraPerformanceOptimizer {
             rootMargin: '100px',
             threshold: 0.1
         });
+        this.observers.set('lazy-load', lazyObserver);
 
         // Observe lazy elements
         document.querySelectorAll('[data-lazy], [loading="lazy"]').forEach(el => {
@@ -290,6 +768,9 @@ class UltraPerformanceOptimizer {
 
     // Performance monitoring
     setupPerformanceMonitoring() {
+        // Orçamentos da página (antes dos observers que os alimentam)
+        this.setupPerformanceBudgets();
+        
         // Core Web Vitals
         this.measureCoreWebVitals();
         
@@ -302,39 +783,163 @@ class UltraPerformanceOptimizer {
 
     measureCoreWebVitals() {
         // First Contentful Paint
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            const fcp = entries[entries.length - 1];
-            this.metrics.fcp = fcp.startTime;
-        }).observe({ entryTypes: ['paint'] });
-
-        // Largest Contentful Paint
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
+        this.observePerformance('paint', entries => {
+            entries.forEach(entry => {
+                if (entry.name === 'first-contentful-paint') {
+                    this.metrics.fcp = entry.startTime;
+                }
+            });
+        });
+
+        // Largest Contentful Paint: elemento e recurso (imagem) do último candidato
+        this.observePerformance('largest-contentful-paint', entries => {
             const lcp = entries[entries.length - 1];
             this.metrics.lcp = lcp.startTime;
-        }).observe({ entryTypes: ['largest-contentful-paint'] });
+            this.attribution.lcp = {
+                element: this.describeElement(lcp.element),
+                url: lcp.url || null,
+                size: lcp.size
+            };
+            this.checkBudget('lcp', this.attribution.lcp);
+        });
 
-        // First Input Delay
-        new PerformanceObserver((list) => {
-            const entries = list.getEntries();
+        this.measureLayoutShifts();
+        this.measureInteractions();
+    }
+
+    // CLS = pior janela de sessão (shifts a menos de 1s entre si, janela de até 5s),
+    // não a soma da vida inteira da página
+    measureLayoutShifts() {
+        let sessionValue = 0;
+        let sessionEntries = [];
+
+        this.observePerformance('layout-shift', entries => {
             entries.forEach(entry => {
-                if (entry.name === 'first-input') {
-                    this.metrics.fid = entry.processingStart - entry.startTime;
+                if (entry.hadRecentInput) return;
+
+                const first = sessionEntries[0];
+                const last = sessionEntries[sessionEntries.length - 1];
+
+                if (last && entry.startTime - last.startTime < CLS_SESSION_GAP &&
+                    entry.startTime - first.startTime < CLS_SESSION_MAX_DURATION) {
+                    sessionValue += entry.value;
+                    sessionEntries.push(entry);
+                } else {
+                    sessionValue = entry.value;
+                    sessionEntries = [entry];
                 }
-            });
-        }).observe({ entryTypes: ['first-input'] });
-
-        // Cumulative Layout Shift
-        let clsScore = 0;
-        new PerformanceObserver((list) => {
-            list.getEntries().forEach(entry => {
-                if (!entry.hadRecentInput) {
-                    clsScore += entry.value;
-                    this.metrics.cls = clsScore;
+
+                if (sessionValue > this.metrics.cls) {
+                    this.metrics.cls = sessionValue;
+                    this.attribution.cls = this.getLayoutShiftAttribution(sessionEntries);
                 }
             });
-        }).observe({ entryTypes: ['layout-shift'] });
+        });
+    }
+
+    // Maior shift da pior janela e os elementos que se moveram nele
+    getLayoutShiftAttribution(sessionEntries) {
+        const largest = sessionEntries.reduce((a, b) => (b.value > a.value ? b : a));
+
+        return {
+            value: largest.value,
+            time: largest.startTime,
+            sources: Array.from(new Set((largest.sources || [])
+                .map(source => this.describeElement(source.node))
+                .filter(Boolean)))
+        };
+    }
+
+    // INP via Event Timing: a duração de cada interação é a do seu evento mais lento; o INP é
+    // a pior interação, ignorando 1 a cada 50 (p98) em páginas com muitas interações
+    measureInteractions() {
+        const interactions = new Map();
+        this.slowestInteractions = [];
+
+        const recordEntry = entry => {
+            if (!entry.interactionId) return;
+
+            // Nem todo evento da interação traz o target (ex.: pointerup sem, click com)
+            const existing = interactions.get(entry.interactionId);
+            const target = this.describeElement(entry.target) || (existing && existing.target);
+
+            if (existing && existing.duration >= entry.duration) {
+                existing.target = target;
+                return;
+            }
+
+            const interaction = {
+                id: entry.interactionId,
+                duration: entry.duration,
+                type: entry.name,
+                target,
+                inputDelay: entry.processingStart - entry.startTime,
+                processingTime: entry.processingEnd - entry.processingStart,
+                presentationDelay: entry.startTime + entry.duration - entry.processingEnd
+            };
+            interactions.set(entry.interactionId, interaction);
+
+            this.slowestInteractions = this.slowestInteractions
+                .filter(candidate => candidate.id !== interaction.id)
+                .concat(interaction)
+                .sort((a, b) => b.duration - a.duration)
+                .slice(0, INP_MAX_TRACKED_INTERACTIONS);
+
+            const inp = this.slowestInteractions[Math.min(
+                this.slowestInteractions.length - 1,
+                Math.floor(interactions.size / 50)
+            )];
+
+            this.metrics.inp = inp.duration;
+            this.attribution.inp = inp;
+            this.checkBudget('inp', { target: inp.target, type: inp.type });
+        };
+
+        this.observePerformance('event', entries => entries.forEach(recordEntry), {
+            durationThreshold: INP_DURATION_THRESHOLD
+        });
+
+        // first-input entra mesmo abaixo do limite (páginas com uma única interação rápida)
+        this.observePerformance('first-input', entries => entries.forEach(recordEntry));
+    }
+
+    // PerformanceObserver com buffered (entradas anteriores ao optimizer) apenas para tipos suportados
+    observePerformance(type, callback, options = {}) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return null;
+
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.set(type, observer);
+        return observer;
+    }
+
+    // Seletor curto e legível (ex.: 'section.hero > canvas#particles-js') para atribuição
+    describeElement(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+        const parts = [];
+        let current = element;
+
+        while (current && current.nodeType === Node.ELEMENT_NODE && parts.length < 3) {
+            let part = current.localName;
+
+            if (current.id) {
+                parts.unshift(`${part}#${current.id}`);
+                break;
+            }
+
+            const classes = Array.from(current.classList).slice(0, 2);
+            if (classes.length) {
+                part += `.${classes.join('.')}`;
+            }
+
+            parts.unshift(part);
+            if (current === document.body) break;
+            current = current.parentElement;
+        }
+
+        return parts.join(' > ');
     }
 
     measureCustomMetrics() {
@@ -345,155 +950,998 @@ class UltraPerformanceOptimizer {
         }
     }
 
+    // Soma bytes por tipo e requisições de terceiros para os orçamentos da página
     monitorResourceTiming() {
-        const observer = new PerformanceObserver((list) => {
-            list.getEntries().forEach(entry => {
-                if (entry.duration > 1000) {
-                    console.warn('Slow resource:', entry.name, entry.duration + 'ms');
+        this.observePerformance('resource', entries => {
+            entries.forEach(entry => {
+                const url = new URL(entry.name);
+                const kind = this.getResourceKind(entry, url);
+
+                if (url.origin !== window.location.origin) {
+                    this.budgetUsage.thirdPartyRequests++;
+                    this.checkBudget('thirdPartyRequests', { resource: entry.name });
+                }
+
+                // workerStart > 0: passou pelo service worker (ver DEFAULT_BUDGET)
+                if (kind && !(entry.workerStart > 0)) {
+                    this.budgetUsage[kind] += entry.encodedBodySize || entry.transferSize || 0;
+                    this.checkBudget(kind, { resource: entry.name });
                 }
             });
         });
-        
-        observer.observe({ entryTypes: ['resource'] });
     }
 
-    // Virtual scrolling for large lists
-    implementVirtualScrolling() {
-        const lists = document.querySelectorAll('[data-virtual-scroll]');
-        
-        lists.forEach(list => {
-            this.setupVirtualScrolling(list);
-        });
+    // Pela extensão primeiro: preloads e prefetches chegam todos com initiatorType 'link'
+    getResourceKind(entry, url) {
+        if (/\.m?js$/.test(url.pathname) || entry.initiatorType === 'script') return 'scriptBytes';
+        if (/\.css$/.test(url.pathname) || (entry.initiatorType === 'css' && !/\.(woff2?|ttf|otf)$/.test(url.pathname))) return 'styleBytes';
+        if (/\.(png|jpe?g|gif|webp|avif|svg)$/.test(url.pathname) || entry.initiatorType === 'img') return 'imageBytes';
+        return null;
     }
 
-    setupVirtualScrolling(container) {
-        const items = Array.from(container.children);
-        const itemHeight = this.getItemHeight(items[0]);
-        const containerHeight = container.clientHeight;
-        const visibleCount = Math.ceil(containerHeight / itemHeight) + 2;
-        
-        let scrollTop = 0;
-        let startIndex = 0;
-        
-        const updateVisibleItems = () => {
-            startIndex = Math.floor(scrollTop / itemHeight);
-            const endIndex = Math.min(startIndex + visibleCount, items.length);
-            
-            // Hide all items
-            items.forEach((item, index) => {
-                if (index < startIndex || index >= endIndex) {
-                    item.style.display = 'none';
-                } else {
-                    item.style.display = '';
-                    item.style.transform = `translateY(${index * itemHeight}px)`;
-                }
-            });
+    setupPerformanceBudgets() {
+        const pathname = window.location.pathname;
+
+        this.budgetUsage = {
+            scriptBytes: 0,
+            styleBytes: 0,
+            imageBytes: 0,
+            thirdPartyRequests: 0
         };
-        
-        container.addEventListener('scroll', () => {
-            scrollTop = container.scrollTop;
-            requestAnimationFrame(updateVisibleItems);
+
+        // monitoring.budgets false: métricas sem limites (checkBudget ignora)
+        if (!this.options.monitoring.budgets) return;
+
+        this.budget = PAGE_BUDGETS
+            .filter(entry => entry.paths.some(path => pathname.startsWith(path)))
+            .reduce((budget, entry) => ({ ...budget, ...entry.budget }), { ...DEFAULT_BUDGET });
+
+        this.onLoad(() => {
+            const timer = setTimeout(() => {
+                const report = this.getBudgetReport();
+                this.emit('budget-report', report);
+
+                if (report.violations.length) {
+                    console.warn(`[budget] ${report.page}: ${report.violations.length} orçamento(s) estourado(s)`, report.budgets);
+                }
+            }, BUDGET_REPORT_DELAY);
+            this.cleanups.push(() => clearTimeout(timer));
         });
-        
-        updateVisibleItems();
     }
 
-    getItemHeight(item) {
-        if (!item) return 50; // default
-        const rect = item.getBoundingClientRect();
-        return rect.height || 50;
+    getBudgetActual(name) {
+        return name in this.budgetUsage ? this.budgetUsage[name] : this.metrics[name];
     }
 
-    // Web font optimization
-    optimizeWebFonts() {
-        // Font display swap
-        const fontLinks = document.querySelectorAll('link[href*="fonts.googleapis.com"]');
-        fontLinks.forEach(link => {
-            const url = new URL(link.href);
-            url.searchParams.set('display', 'swap');
-            link.href = url.toString();
-        });
-
-        // Preload critical fonts
-        const criticalFonts = [
-            'Inter-400.woff2',
-            'Playfair-Display-700.woff2'
-        ];
-        
-        criticalFonts.forEach(font => {
-            if (!this.resourceHints.has(font)) {
-                const link = document.createElement('link');
-                link.rel = 'preload';
-                link.href = `/fonts/${font}`;
-                link.as = 'font';
-                link.type = 'font/woff2';
-                link.crossOrigin = '';
-                document.head.appendChild(link);
+    // Cada orçamento gera no máximo um evento ultra:budget-violation por page view, no momento
+    // em que é ultrapassado; details aponta o recurso ou elemento que o estourou
+    checkBudget(name, details) {
+        const limit = this.budget[name];
+        const actual = this.getBudgetActual(name);
+        if (limit === undefined || actual <= limit || this.budgetViolations.has(name)) return;
+
+        const violation = {
+            budget: name,
+            limit,
+            actual,
+            page: window.location.pathname,
+            details,
+            time: performance.now()
+        };
+
+        this.budgetViolations.set(name, violation);
+        console.warn(`[budget] ${name}: ${Math.round(actual)} > ${limit}`, details);
+        this.emit('budget-violation', violation);
+    }
+
+    // Envia as métricas uma única vez por page view, quando a página some (aba oculta,
+    // navegação, fechamento). pagehide cobre o Safari, que nem sempre dispara visibilitychange.
+    setupRumReporting() {
+        const endpoint = this.options.rum.endpoint;
+        if (!endpoint) return;
+
+        this.startRumPageView();
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.sendRumBeacon(endpoint);
             }
         });
-    }
+        this.listen(window, 'pagehide', () => this.sendRumBeacon(endpoint));
 
-    // Image optimization
-    setupImageOptimization() {
-        const images = document.querySelectorAll('img');
-        
-        images.forEach(img => {
-            // Add loading="lazy" for non-critical images
-            if (!img.hasAttribute('loading') && !this.isCriticalImage(img)) {
-                img.loading = 'lazy';
+        // Voltar pelo back/forward cache é um novo page view
+        this.listen(window, 'pageshow', event => {
+            if (event.persisted) {
+                this.startRumPageView('back_forward_cache');
+            }
+        });
+    }
+
+    startRumPageView(navigationType) {
+        const navigation = performance.getEntriesByType('navigation')[0];
+
+        this.rumPageView = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            navigationType: navigationType || (navigation ? navigation.type : 'navigate'),
+            sent: false
+        };
+    }
+
+    sendRumBeacon(endpoint) {
+        if (!this.rumPageView || this.rumPageView.sent) return;
+        this.rumPageView.sent = true;
+
+        const body = JSON.stringify(this.getRumPayload());
+
+        // text/plain não exige preflight CORS (coletores em outra origem). sendBeacon devolve
+        // false acima da cota da página; aí vai um fetch keepalive, que também sobrevive ao descarte
+        const queued = navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }));
+        if (queued) return;
+
+        fetch(endpoint, {
+            method: 'POST',
+            mode: 'no-cors',
+            headers: { 'Content-Type': 'text/plain' },
+            body,
+            keepalive: true
+        }).catch(() => {});
+    }
+
+    // Payload compacto: milissegundos inteiros, CLS com 3 casas, métricas ausentes omitidas
+    getRumPayload() {
+        const connection = navigator.connection;
+        const metrics = {};
+
+        Object.entries(this.metrics).forEach(([name, value]) => {
+            if (value > 0) {
+                metrics[name] = name === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+            }
+        });
+
+        return {
+            v: RUM_SCHEMA_VERSION,
+            id: this.rumPageView.id,
+            page: window.location.pathname,
+            nav: this.rumPageView.navigationType,
+            metrics,
+            attribution: this.getRumAttribution(),
+            budgetViolations: Array.from(this.budgetViolations.keys()),
+            connection: connection && connection.effectiveType ? connection.effectiveType : 'unknown',
+            saveData: Boolean(connection && connection.saveData),
+            device: this.getTier(),
+            swControlled: Boolean('serviceWorker' in navigator && navigator.serviceWorker.controller),
+            ts: Date.now()
+        };
+    }
+
+    getRumAttribution() {
+        const { lcp, cls, inp } = this.attribution;
+        const attribution = {};
+
+        if (lcp) attribution.lcp = { element: lcp.element, url: lcp.url };
+        if (cls) attribution.cls = { sources: cls.sources };
+        if (inp) attribution.inp = { target: inp.target, type: inp.type };
+
+        return attribution;
+    }
+
+    // Um tier para todos os sistemas de animação: 'high' | 'medium' | 'low'. Cada sinal limita o
+    // tier e o mais restritivo vence; mudanças saem no evento ultra:tier-change e em <html data-tier>.
+    setupDeviceTier() {
+        this.tier = null;
+        this.fpsTierLimit = 'high';
+        this.pendingFpsTierLimit = null;
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.updateTier();
+        if (!this.options.tier) return;
+
+        this.listen(this.reducedMotionQuery, 'change', () => this.updateTier());
+
+        const connection = navigator.connection;
+        if (connection && connection.addEventListener) {
+            this.listen(connection, 'change', () => this.updateTier());
+        }
+
+        if (!this.options.tier.sampleFrameRate) return;
+
+        const sample = () => {
+            if (!document.hidden) this.sampleFrameRate();
+        };
+
+        this.onLoad(sample);
+        const timer = setInterval(sample, TIER_FPS_RESAMPLE_INTERVAL);
+        this.cleanups.push(() => clearInterval(timer));
+    }
+
+    sampleFrameRate() {
+        if (this.isSamplingFrameRate) return;
+        this.isSamplingFrameRate = true;
+
+        let start = null;
+        let frames = 0;
+
+        const tick = now => {
+            if (this.destroyed) return;
+
+            if (start === null) {
+                start = now;
+            } else {
+                frames++;
+            }
+
+            if (now - start < TIER_FPS_SAMPLE_DURATION) {
+                requestAnimationFrame(tick);
+                return;
+            }
+
+            this.isSamplingFrameRate = false;
+
+            // Aba escondida durante a amostra: o rAF pausou e a contagem não vale
+            if (document.hidden) return;
+
+            const fps = Math.round(frames * 1000 / (now - start));
+            const limit = fps < TIER_LOW_FPS ? 'low' : fps < TIER_MEDIUM_FPS ? 'medium' : 'high';
+
+            this.measuredFps = fps;
+
+            // O frame rate só rebaixa: com menos animação ele sobe, e voltar o tier por isso
+            // reacenderia o mesmo problema. Uma amostra ruim pode ser só um pico (ex.: fim do
+            // load), então o rebaixamento espera uma segunda amostra em seguida confirmar.
+            if (DEVICE_TIERS.indexOf(limit) >= DEVICE_TIERS.indexOf(this.fpsTierLimit)) {
+                this.pendingFpsTierLimit = null;
+                return;
+            }
+
+            if (!this.pendingFpsTierLimit) {
+                this.pendingFpsTierLimit = limit;
+                this.sampleFrameRate();
+                return;
+            }
+
+            const confirmed = Math.max(DEVICE_TIERS.indexOf(limit), DEVICE_TIERS.indexOf(this.pendingFpsTierLimit));
+            this.pendingFpsTierLimit = null;
+            this.fpsTierLimit = DEVICE_TIERS[confirmed];
+            this.updateTier();
+        };
+
+        requestAnimationFrame(tick);
+    }
+
+    // Limite imposto por cada sinal (deviceMemory e connection só existem no Chromium)
+    getTierLimits() {
+        const cores = navigator.hardwareConcurrency || 4;
+        const memory = navigator.deviceMemory;
+        const connection = navigator.connection;
+        const effectiveType = connection ? connection.effectiveType : undefined;
+
+        return {
+            reducedMotion: this.reducedMotionQuery.matches ? 'low' : 'high',
+            saveData: connection && connection.saveData ? 'low' : 'high',
+            connection: /2g/.test(effectiveType) ? 'low' : effectiveType === '3g' ? 'medium' : 'high',
+            cpu: cores <= 2 ? 'low' : cores <= 4 ? 'medium' : 'high',
+            memory: memory === undefined ? 'high' : memory <= 2 ? 'low' : memory <= 4 ? 'medium' : 'high',
+            fps: this.fpsTierLimit
+        };
+    }
+
+    updateTier() {
+        const limits = this.getTierLimits();
+        const rank = Math.min(...Object.values(limits).map(limit => DEVICE_TIERS.indexOf(limit)));
+        const tier = DEVICE_TIERS[rank];
+
+        if (tier === this.tier) return;
+
+        const previous = this.tier;
+        this.tier = tier;
+        document.documentElement.dataset.tier = tier;
+
+        // previous null = primeiro cálculo (páginas que iniciaram antes do optimizer se corrigem)
+        this.emit('tier-change', {
+            tier,
+            previous,
+            reasons: Object.keys(limits).filter(name => limits[name] === tier && tier !== 'high'),
+            fps: this.measuredFps || null
+        });
+    }
+
+    // Travamentos só depois do load (os do próprio carregamento não contam) e com a aba visível:
+    // cada frame longo entra na janela com o tempo bloqueado e os scripts que rodaram nele. Sem
+    // LoAF nem Long Tasks (Safari, Firefox), um loop de requestAnimationFrame conta os frames.
+    setupJankDetection() {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        this.jankEntryType = ['long-animation-frame', 'longtask'].find(type => supported.includes(type));
+        this.jankTracking = false;
+        this.resetJankWindow();
+
+        this.onLoad(() => {
+            this.jankTracking = true;
+            this.resetJankWindow();
+
+            if (this.jankEntryType) {
+                this.observePerformance(this.jankEntryType, entries => this.recordLongFrames(entries), {
+                    buffered: false
+                });
+            } else {
+                this.trackRollingFrameRate();
+            }
+        });
+
+        // O tempo com a aba escondida não conta: a janela recomeça na volta, e o loop de FPS
+        // (que para enquanto ela está escondida) volta a rodar
+        this.listen(document, 'visibilitychange', () => {
+            this.resetJankWindow();
+
+            if (this.jankTracking && !this.jankEntryType && !document.hidden) {
+                this.trackRollingFrameRate();
+            }
+        });
+    }
+
+    resetJankWindow() {
+        this.jankWindow = { start: performance.now(), frames: [], longFrames: [] };
+    }
+
+    recordLongFrames(entries) {
+        if (document.hidden) return;
+
+        entries.forEach(entry => {
+            // LoAF já soma o bloqueio das tasks do frame; Long Task é uma task só
+            const blocking = entry.blockingDuration !== undefined
+                ? entry.blockingDuration
+                : entry.duration - JANK_BLOCKING_THRESHOLD;
+            if (blocking <= 0) return;
+
+            this.jankWindow.longFrames.push({
+                end: entry.startTime + entry.duration,
+                blocking,
+                scripts: this.getLongFrameScripts(entry)
+            });
+        });
+
+        this.checkJank(performance.now());
+    }
+
+    // LoAF traz cada script do frame (URL e invoker, ex.: 'BUTTON#cta.onclick',
+    // 'TimerHandler:setInterval'); Long Tasks só o container, que fora de iframes não tem URL
+    getLongFrameScripts(entry) {
+        if (entry.scripts) {
+            return entry.scripts.map(script => ({
+                source: script.sourceURL || null,
+                invoker: script.invoker || null,
+                duration: script.duration
+            }));
+        }
+
+        const container = (entry.attribution || [])[0];
+        if (!container || !container.containerSrc) return [];
+
+        return [{ source: container.containerSrc, invoker: container.containerType, duration: entry.duration }];
+    }
+
+    // Um loop por vez; para com a aba escondida e no último nível (não há mais o que degradar)
+    trackRollingFrameRate() {
+        if (this.frameRateLoop) return;
+        this.frameRateLoop = true;
+        let lastCheck = performance.now();
+
+        const tick = now => {
+            if (this.destroyed || document.hidden || this.degradeLevel === DEGRADE_LEVELS[DEGRADE_LEVELS.length - 1]) {
+                this.frameRateLoop = false;
+                return;
+            }
+
+            this.jankWindow.frames.push(now);
+
+            if (now - lastCheck >= JANK_CHECK_INTERVAL) {
+                lastCheck = now;
+                this.checkJank(now);
+            }
+
+            requestAnimationFrame(tick);
+        };
+
+        requestAnimationFrame(tick);
+    }
+
+    checkJank(now) {
+        const { windowDuration, blockingTime, minFps } = this.options.jank;
+        const since = now - windowDuration;
+        const jankWindow = this.jankWindow;
+
+        jankWindow.longFrames = jankWindow.longFrames.filter(frame => frame.end >= since);
+        jankWindow.frames = jankWindow.frames.filter(time => time >= since);
+
+        const blocked = Math.round(jankWindow.longFrames.reduce((total, frame) => total + frame.blocking, 0));
+
+        // FPS só no loop de rAF e com a janela completa: logo após o load (ou um degrade) a
+        // amostra é curta demais
+        const fps = !this.jankEntryType && now - jankWindow.start >= windowDuration
+            ? Math.round(jankWindow.frames.length * 1000 / windowDuration)
+            : null;
+
+        if (blocked >= blockingTime) {
+            this.degrade('long-frames', blocked, fps);
+        } else if (fps !== null && fps < minFps) {
+            this.degrade('low-fps', blocked, fps);
+        }
+    }
+
+    // Sobe um nível ('none' → 'reduce' → 'stop') e recomeça a janela: o próximo nível só vem com
+    // travamentos novos, medidos já com os efeitos reduzidos
+    degrade(reason, blockingTime, fps) {
+        const previous = this.degradeLevel;
+        const level = DEGRADE_LEVELS[DEGRADE_LEVELS.indexOf(previous) + 1];
+        if (!level) return;
+
+        const culprits = this.getJankCulprits();
+
+        this.degradeLevel = level;
+        document.documentElement.dataset.degrade = level;
+        this.resetJankWindow();
+
+        if (level === DEGRADE_LEVELS[DEGRADE_LEVELS.length - 1] && this.observers.has(this.jankEntryType)) {
+            this.observers.get(this.jankEntryType).disconnect();
+            this.observers.delete(this.jankEntryType);
+        }
+
+        console.warn(`[jank] ${reason}: ${previous} → ${level} (${blockingTime}ms bloqueados, ${fps === null ? '?' : fps} fps)`, culprits);
+        this.emit('degrade', { level, previous, reason, blockingTime, fps, culprits });
+    }
+
+    // Scripts com mais tempo nos frames longos da janela: [{ source, invoker, duration }]
+    getJankCulprits() {
+        const totals = new Map();
+
+        this.jankWindow.longFrames.forEach(frame => frame.scripts.forEach(script => {
+            const key = `${script.source} ${script.invoker}`;
+            const total = totals.get(key) || { source: script.source, invoker: script.invoker, duration: 0 };
+            total.duration += script.duration;
+            totals.set(key, total);
+        }));
+
+        return Array.from(totals.values())
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, JANK_MAX_CULPRITS)
+            .map(culprit => ({ ...culprit, duration: Math.round(culprit.duration) }));
+    }
+
+    // Virtual scrolling for large lists
+    implementVirtualScrolling() {
+        document.querySelectorAll('[data-virtual-scroll]').forEach(container => {
+            this.setupVirtualScrolling(container);
+        });
+    }
+
+    // Só as linhas visíveis (+ overscan) ficam no DOM, posicionadas dentro de um spacer com a
+    // altura total da lista. Itens podem ser elementos (reaproveitados) ou dados para renderItem.
+    setupVirtualScrolling(container, {
+        items = Array.from(container.children),
+        renderItem = item => {
+            const row = document.createElement('div');
+            row.textContent = String(item);
+            return row;
+        },
+        overscan = Number(container.dataset.overscan || this.getVirtualScrollOptions().overscan),
+        estimatedItemHeight = Number(container.dataset.itemHeight || this.getVirtualScrollOptions().itemHeight)
+    } = {}) {
+        // Linhas medidas depois do layout, antes do paint: sem leitura forçada no scroll
+        if (!this.observers.has('virtual-scroll') && 'ResizeObserver' in window) {
+            this.observers.set('virtual-scroll', new ResizeObserver(entries => {
+                this.handleVirtualResize(entries);
+            }));
+        }
+
+        const resizeObserver = this.observers.get('virtual-scroll');
+        const viewHeight = container.clientHeight;
+        const spacer = document.createElement('div');
+        const list = {
+            container,
+            spacer,
+            items: [],
+            renderItem,
+            heights: [],            // altura medida por índice (undefined = estimativa)
+            offsets: [0],           // offsets[i] = topo da linha i
+            validOffsets: 0,        // offsets calculados até este índice
+            rendered: new Map(),    // índice → linha no DOM
+            rowIndexes: new WeakMap(),
+            focusedIndex: -1,
+            updatePending: false
+        };
+
+        const heightOf = index => (list.heights[index] === undefined ? estimatedItemHeight : list.heights[index]);
+
+        list.getOffset = index => {
+            for (let i = list.validOffsets; i < index; i++) {
+                list.offsets[i + 1] = list.offsets[i] + heightOf(i);
+            }
+            list.validOffsets = Math.max(list.validOffsets, index);
+            return list.offsets[index];
+        };
+
+        // Índice da linha que contém a coordenada y (busca binária nos offsets)
+        list.indexAt = y => {
+            const count = list.items.length;
+            list.getOffset(count);
+
+            let low = 0;
+            let high = Math.max(0, count - 1);
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (list.offsets[middle] <= y) low = middle;
+                else high = middle - 1;
+            }
+            return low;
+        };
+
+        list.setHeight = (index, height) => {
+            list.heights[index] = height;
+            list.validOffsets = Math.min(list.validOffsets, index);
+        };
+
+        const createRow = index => {
+            const item = list.items[index];
+            const row = item instanceof Element ? item : list.renderItem(item, index);
+
+            row.style.position = 'absolute';
+            row.style.top = '0';
+            row.style.left = '0';
+            row.style.right = '0';
+            if (!row.hasAttribute('role')) row.setAttribute('role', 'listitem');
+            list.rowIndexes.set(row, index);
+            return row;
+        };
+
+        list.positionRows = () => {
+            const count = list.items.length;
+
+            list.rendered.forEach((row, index) => {
+                row.style.transform = `translateY(${list.getOffset(index)}px)`;
+                row.setAttribute('aria-posinset', index + 1);
+                row.setAttribute('aria-setsize', count);
+            });
+            spacer.style.height = list.getOffset(count) + 'px';
+        };
+
+        list.render = (scrollTop, height) => {
+            const count = list.items.length;
+            const start = Math.max(0, list.indexAt(scrollTop) - overscan);
+            const end = count ? Math.min(count, list.indexAt(scrollTop + height) + 1 + overscan) : 0;
+            const isWanted = index => (index >= start && index < end) || index === list.focusedIndex;
+
+            list.rendered.forEach((row, index) => {
+                if (isWanted(index)) return;
+                if (resizeObserver) resizeObserver.unobserve(row);
+                row.remove();
+                list.rendered.delete(index);
+            });
+
+            const wanted = [];
+            for (let index = start; index < end; index++) wanted.push(index);
+            if (list.focusedIndex >= 0 && list.focusedIndex < count && (list.focusedIndex < start || list.focusedIndex >= end)) {
+                wanted.push(list.focusedIndex);
+            }
+
+            // Ordem do DOM = ordem da lista (Tab e leitores de tela seguem o DOM)
+            wanted.sort((a, b) => a - b).forEach(index => {
+                if (list.rendered.has(index)) return;
+
+                const row = createRow(index);
+                const next = Array.from(list.rendered.keys())
+                    .filter(candidate => candidate > index)
+                    .sort((a, b) => a - b)[0];
+
+                spacer.insertBefore(row, next === undefined ? null : list.rendered.get(next));
+                list.rendered.set(index, row);
+                if (resizeObserver) resizeObserver.observe(row);
+            });
+
+            list.positionRows();
+        };
+
+        list.update = () => {
+            if (list.updatePending) return;
+            list.updatePending = true;
+
+            this.measure(() => {
+                list.updatePending = false;
+                const scrollTop = container.scrollTop;
+                const height = container.clientHeight;
+                this.mutate(() => list.render(scrollTop, height));
+            });
+        };
+
+        // A linha focada continua no DOM mesmo fora da janela, senão o foco cairia no body
+        const rowOf = target => {
+            let node = target;
+            while (node && node.parentNode !== spacer) node = node.parentNode;
+            return node;
+        };
+
+        this.listen(container, 'focusin', event => {
+            const row = rowOf(event.target);
+            list.focusedIndex = row ? list.rowIndexes.get(row) : -1;
+        });
+
+        this.listen(container, 'focusout', event => {
+            if (event.relatedTarget && rowOf(event.relatedTarget)) return;
+            list.focusedIndex = -1;
+            list.update();
+        });
+
+        this.listen(container, 'scroll', list.update, { passive: true });
+
+        // O próprio virtual scroller compensa linhas que mudam de altura acima da área visível
+        container.style.overflowAnchor = 'none';
+        if (getComputedStyle(container).overflowY === 'visible') {
+            container.style.overflowY = 'auto';
+        }
+
+        spacer.style.position = 'relative';
+        spacer.setAttribute('data-virtual-spacer', '');
+        if (!container.hasAttribute('role')) container.setAttribute('role', 'list');
+
+        container.textContent = '';
+        container.appendChild(spacer);
+        list.items = Array.from(items);
+        list.render(0, viewHeight);
+
+        this.virtualLists.set(container, list);
+        if (resizeObserver) resizeObserver.observe(container);
+
+        return this.getVirtualListHandle(list);
+    }
+
+    // virtualScroll: false só desliga a varredura automática; createVirtualList usa os padrões
+    getVirtualScrollOptions() {
+        return this.options.virtualScroll || OPTIMIZER_DEFAULTS.virtualScroll;
+    }
+
+    handleVirtualResize(entries) {
+        const changedLists = new Set();
+
+        entries.forEach(entry => {
+            const list = this.virtualLists.get(entry.target);
+            if (list) {
+                // O container mudou de tamanho: mais ou menos linhas cabem na área visível
+                list.update();
+                return;
+            }
+
+            this.virtualLists.forEach(candidate => {
+                const index = candidate.rowIndexes.get(entry.target);
+                if (index === undefined || candidate.rendered.get(index) !== entry.target) return;
+
+                const height = entry.target.offsetHeight;
+                if (!height || height === candidate.heights[index]) return;
+
+                // Linha acima da primeira visível mudou de altura: compensa o scroll para o
+                // conteúdo na tela não pular
+                const scrollTop = candidate.container.scrollTop;
+                if (index < candidate.indexAt(scrollTop)) {
+                    candidate.scrollDelta = (candidate.scrollDelta || 0) +
+                        height - (candidate.getOffset(index + 1) - candidate.getOffset(index));
+                }
+
+                candidate.setHeight(index, height);
+                changedLists.add(candidate);
+            });
+        });
+
+        changedLists.forEach(list => {
+            list.positionRows();
+            if (list.scrollDelta) {
+                list.container.scrollTop += list.scrollDelta;
+                list.scrollDelta = 0;
+            }
+            // Com as alturas reais a janela pode precisar de mais (ou menos) linhas
+            list.update();
+        });
+    }
+
+    getVirtualListHandle(list) {
+        return {
+            get length() {
+                return list.items.length;
+            },
+            // Acrescenta itens no fim da lista (elementos ou dados para o renderItem)
+            append: items => {
+                list.items.push(...items);
+                // Spacer já com a altura nova: um scrollToIndex logo depois alcança os itens
+                list.positionRows();
+                list.update();
+                return list.items.length;
+            },
+            scrollToIndex: index => {
+                const target = Math.max(0, Math.min(index, list.items.length - 1));
+                list.container.scrollTop = list.getOffset(target);
+            },
+            // Descarta as alturas medidas (ex.: depois de trocar fonte ou largura das linhas)
+            refresh: () => {
+                list.heights = [];
+                list.validOffsets = 0;
+                list.update();
+            }
+        };
+    }
+
+    // Web font optimization
+    // fonts.preload: woff2 que a página carrega de fato (data-fonts-preload, gravado por
+    // scripts/build-web-fonts.js). Pula o que já tem <link rel="preload"> no HTML ou já foi
+    // baixado pelo CSS - um preload tardio viraria um segundo pedido do mesmo arquivo
+    optimizeWebFonts() {
+        const preloaded = new Set([
+            ...Array.from(document.querySelectorAll('link[rel="preload"][as="font"]'), link => link.href),
+            ...performance.getEntriesByType('resource').map(entry => entry.name)
+        ]);
+
+        this.options.fonts.preload.forEach(font => {
+            const href = new URL(font, document.baseURI).href;
+            if (preloaded.has(href) || this.resourceHints.has(href)) return;
+
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            link.href = href;
+            link.as = 'font';
+            link.type = 'font/woff2';
+            link.crossOrigin = '';
+            document.head.appendChild(link);
+            this.resourceHints.add(href);
+        });
+    }
+
+    // Image optimization
+    setupImageOptimization() {
+        const images = document.querySelectorAll('img');
+
+        const style = document.createElement('style');
+        style.textContent = `
+            picture[data-responsive-image] img { transition: filter .4s ease-out; }
+            img.${IMAGE_PLACEHOLDER_CLASS} { filter: blur(12px); }
+        `;
+        document.head.appendChild(style);
+
+        // Um observer para todas as imagens: fade-in e troca do placeholder pela imagem real
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('fade-in');
+                    this.revealImage(entry.target, entry.boundingClientRect.width);
+                    imageObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            rootMargin: IMAGE_REVEAL_MARGIN
+        });
+        this.observers.set('images', imageObserver);
+        
+        images.forEach(img => {
+            // Add loading="lazy" for non-critical images
+            if (!img.hasAttribute('loading') && !this.isCriticalImage(img)) {
+                img.loading = 'lazy';
             }
-            
-            // Add intersection observer for fade-in effect
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('fade-in');
-                        imageObserver.unobserve(entry.target);
-                    }
-                });
-            });
             
             imageObserver.observe(img);
         });
     }
 
+    // Copia data-srcset/data-src do <picture> para os atributos reais. Com Save-Data, cada
+    // srcset fica só com a menor variante que cobre a largura em CSS px (sem multiplicar pelo DPR).
+    revealImage(img, renderedWidth) {
+        if (!img.dataset.src && !img.dataset.srcset) return;
+
+        const saveData = Boolean(navigator.connection && navigator.connection.saveData);
+        const reveal = element => {
+            const srcset = element.dataset.srcset;
+            element.srcset = saveData ? this.pickSrcsetCandidate(srcset, renderedWidth) : srcset;
+            element.removeAttribute('data-srcset');
+        };
+
+        const unblur = () => img.classList.remove(IMAGE_PLACEHOLDER_CLASS);
+        img.addEventListener('load', unblur, { once: true });
+        img.addEventListener('error', unblur, { once: true });
+
+        if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source[data-srcset]').forEach(reveal);
+        }
+        if (img.dataset.srcset) reveal(img);
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        }
+    }
+
+    // 'a.webp 128w, b.webp 256w' → o menor candidato com largura >= width (ou o maior)
+    pickSrcsetCandidate(srcset, width) {
+        const candidates = srcset.split(',')
+            .map(candidate => candidate.trim().split(/\s+/))
+            .map(([url, descriptor]) => ({ url, width: parseInt(descriptor, 10) || 0 }))
+            .sort((a, b) => a.width - b.width);
+
+        const candidate = candidates.find(entry => entry.width >= width) || candidates[candidates.length - 1];
+        return `${candidate.url} ${candidate.width}w`;
+    }
+
     isCriticalImage(img) {
         const rect = img.getBoundingClientRect();
         return rect.top < window.innerHeight; // Above the fold
     }
 
     // Web Workers for heavy computation
+    // runTask: pool de workers (task-worker.js) criados sob demanda; sem Worker, as tasks
+    // rodam no main thread com os mesmos handlers
     initWebWorkers() {
-        if ('Worker' in window) {
-            this.setupComputationWorker();
+        this.taskScriptUrl = (this.options.workers || OPTIMIZER_DEFAULTS.workers).url;
+        this.taskHandlersLoad = null;
+        this.nextTaskId = 1;
+
+        // workers: false mantém o runTask, tudo no main thread
+        if (!this.options.workers || !('Worker' in window)) {
+            this.workerPool = null;
+            return;
         }
+
+        const automaticSize = Math.min(TASK_POOL_MAX_SIZE, (navigator.hardwareConcurrency || 2) - 1);
+
+        this.workerPool = {
+            size: Math.max(1, this.options.workers.poolSize || automaticSize),
+            workers: [],
+            queue: []
+        };
     }
 
-    setupComputationWorker() {
-        const workerCode = `
-            self.onmessage = function(e) {
-                const { type, data } = e.data;
-                
-                switch(type) {
-                    case 'HEAVY_COMPUTATION':
-                        const result = performHeavyComputation(data);
-                        self.postMessage({ type: 'COMPUTATION_RESULT', result });
-                        break;
-                }
-            };
-            
-            function performHeavyComputation(data) {
-                // Heavy computations here
-                return data;
+    createPoolWorker() {
+        const pool = this.workerPool;
+        let worker;
+
+        try {
+            worker = new Worker(this.taskScriptUrl);
+        } catch (error) {
+            // worker-src bloqueado pela CSP ou ambiente sem suporte real - main thread daqui em diante
+            if (!pool.workers.length) {
+                this.disableWorkerPool();
             }
-        `;
-        
-        const blob = new Blob([workerCode], { type: 'application/javascript' });
-        this.worker = new Worker(URL.createObjectURL(blob));
-        
-        this.worker.onmessage = (e) => {
-            this.handleWorkerMessage(e.data);
+            return null;
+        }
+
+        const slot = { worker, task: null };
+
+        worker.onmessage = event => {
+            const { id, result, error } = event.data;
+            if (!slot.task || slot.task.id !== id) return;
+
+            const task = slot.task;
+            slot.task = null;
+            clearTimeout(task.timer);
+
+            if (error) {
+                task.reject(Object.assign(new Error(error.message), { name: error.name }));
+            } else {
+                task.resolve(result);
+            }
+            this.dispatchTasks();
         };
+
+        // Erro fora do handler (ex.: task-worker.js não carregou): descarta o worker
+        worker.onerror = event => {
+            event.preventDefault();
+            this.retireWorker(slot, new Error(event.message || 'Falha no worker'));
+        };
+
+        pool.workers.push(slot);
+        return slot;
+    }
+
+    retireWorker(slot, error) {
+        const pool = this.workerPool;
+        slot.worker.terminate();
+        pool.workers = pool.workers.filter(candidate => candidate !== slot);
+
+        if (slot.task) {
+            clearTimeout(slot.task.timer);
+            slot.task.reject(error);
+            slot.task = null;
+        }
+        this.dispatchTasks();
+    }
+
+    disableWorkerPool() {
+        const queue = this.workerPool.queue;
+        this.workerPool = null;
+
+        queue.forEach(task => {
+            clearTimeout(task.timer);
+            this.runTaskOnMainThread(task.name, task.payload, task.timeout).then(task.resolve, task.reject);
+        });
+    }
+
+    // Entrega tasks da fila aos workers livres, criando novos até o tamanho do pool
+    dispatchTasks() {
+        const pool = this.workerPool;
+
+        while (pool && pool.queue.length) {
+            const slot = pool.workers.find(candidate => !candidate.task) ||
+                (pool.workers.length < pool.size ? this.createPoolWorker() : null);
+            if (!slot || !this.workerPool) return;
+
+            const task = pool.queue.shift();
+            slot.task = task;
+
+            try {
+                slot.worker.postMessage({ id: task.id, name: task.name, payload: task.payload }, task.transfer);
+            } catch (error) {
+                // Payload não clonável (DataCloneError)
+                slot.task = null;
+                clearTimeout(task.timer);
+                task.reject(error);
+            }
+        }
+    }
+
+    // destroy(): encerra os workers e rejeita as tasks pendentes
+    terminateWorkerPool(error) {
+        const pool = this.workerPool;
+        if (!pool) return;
+
+        this.workerPool = null;
+        pool.queue.forEach(task => {
+            clearTimeout(task.timer);
+            task.reject(error);
+        });
+        pool.workers.forEach(slot => {
+            slot.worker.terminate();
+            if (slot.task) {
+                clearTimeout(slot.task.timer);
+                slot.task.reject(error);
+            }
+        });
+    }
+
+    // Handlers do task-worker.js no main thread: as páginas com tasks já carregam o script;
+    // nas outras ele é injetado na primeira task sem worker
+    loadTaskHandlers() {
+        if (window.ultraTaskHandlers) {
+            return Promise.resolve(window.ultraTaskHandlers);
+        }
+
+        if (!this.taskHandlersLoad) {
+            this.taskHandlersLoad = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.taskScriptUrl;
+                script.onload = () => resolve(window.ultraTaskHandlers);
+                script.onerror = () => {
+                    this.taskHandlersLoad = null;
+                    script.remove();
+                    reject(new Error(`Falha ao carregar ${this.taskScriptUrl}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.taskHandlersLoad;
+    }
+
+    runTaskOnMainThread(name, payload, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(this.createTaskTimeoutError(name, timeout)), timeout);
+
+            // Cede o thread antes, como aconteceria com o worker
+            setTimeout(() => {
+                this.loadTaskHandlers()
+                    .then(handlers => {
+                        if (!handlers || !Object.prototype.hasOwnProperty.call(handlers, name)) {
+                            throw new Error(`Task não registrada: ${name}`);
+                        }
+                        return handlers[name](payload);
+                    })
+                    .then(resolve, reject)
+                    .finally(() => clearTimeout(timer));
+            }, 0);
+        });
+    }
+
+    createTaskTimeoutError(name, timeout) {
+        return Object.assign(new Error(`Task "${name}" excedeu ${timeout}ms`), { name: 'TimeoutError' });
     }
 
     // Utility functions
@@ -520,6 +1968,17 @@ class UltraPerformanceOptimizer {
         };
     }
 
+    // Eventos públicos disparados em window como 'ultra:<tipo>'
+    emit(type, detail) {
+        window.dispatchEvent(new CustomEvent(`ultra:${type}`, { detail }));
+    }
+
+    on(type, handler) {
+        const listener = event => handler(event.detail);
+        window.addEventListener(`ultra:${type}`, listener);
+        return () => window.removeEventListener(`ultra:${type}`, listener);
+    }
+
     isInternalLink(href) {
         try {
             const url = new URL(href, window.location.origin);
@@ -529,81 +1988,422 @@ class UltraPerformanceOptimizer {
         }
     }
 
+    // Mesma página, ignorando hash e o index.html implícito ('/about/' = '/about/index.html')
+    isCurrentPage(href) {
+        try {
+            const normalize = pathname => pathname.replace(/\/index\.html$/, '/');
+            const url = new URL(href, window.location.href);
+            return url.origin === window.location.origin &&
+                normalize(url.pathname) === normalize(window.location.pathname);
+        } catch {
+            return false;
+        }
+    }
+
+    // Página da mesma origem (mailto:, tel: e javascript: ficam de fora) que não seja a atual
+    isPrefetchCandidate(href) {
+        return this.isInternalLink(href) && !this.isCurrentPage(href);
+    }
+
+    // prefetch: false desliga só a detecção; os hints de resourceHints usam os mesmos limites
+    getPrefetchOptions() {
+        return this.options.prefetch || OPTIMIZER_DEFAULTS.prefetch;
+    }
+
+    // Enfileira um <link rel=prefetch>; a fila anda com até maxConcurrent em voo e para de
+    // iniciar novos quando os bytes transferidos passam de maxBytes
     prefetchResource(href) {
-        if (!this.resourceHints.has(href) && this.isInternalLink(href)) {
+        if (this.destroyed || this.isConstrainedConnection() || !this.isPrefetchCandidate(href)) return;
+
+        const url = new URL(href, window.location.href);
+        url.hash = '';
+
+        const state = this.prefetchState;
+        if (this.resourceHints.has(url.href) || state.queue.includes(url.href)) return;
+
+        state.queue.push(url.href);
+        this.drainPrefetchQueue();
+    }
+
+    drainPrefetchQueue() {
+        const state = this.prefetchState;
+        const { maxConcurrent, maxBytes } = this.getPrefetchOptions();
+
+        while (state.queue.length > 0 && state.inFlight < maxConcurrent && state.bytes < maxBytes) {
+            const href = state.queue.shift();
             const link = document.createElement('link');
+
+            const settle = () => {
+                // transferSize 0 = veio do cache, sem custo de rede
+                const entry = performance.getEntriesByName(href, 'resource').pop();
+                state.bytes += entry ? entry.transferSize : 0;
+                state.inFlight--;
+
+                if (!this.destroyed) this.drainPrefetchQueue();
+            };
+
             link.rel = 'prefetch';
             link.href = href;
-            document.head.appendChild(link);
+            link.addEventListener('load', settle, { once: true });
+            link.addEventListener('error', settle, { once: true });
+
+            state.inFlight++;
             this.resourceHints.add(href);
+            document.head.appendChild(link);
         }
     }
 
-    prefetchVisibleLinks() {
-        const links = document.querySelectorAll('a[href^="/"], a[href^="./"], a[href^="../"]');
-        
-        links.forEach(link => {
-            const rect = link.getBoundingClientRect();
-            if (rect.top < window.innerHeight + 200 && rect.bottom > -200) {
-                this.prefetchResource(link.href);
-            }
-        });
-    }
-
     handleServiceWorkerMessage(data) {
         switch(data.type) {
             case 'CACHE_UPDATED':
                 console.log('Cache updated for:', data.url);
+                this.showUpdatePrompt({
+                    message: 'Esta página foi atualizada',
+                    actionLabel: 'Recarregar',
+                    onAccept: () => window.location.reload()
+                });
+                break;
+            case 'OUTBOX_STATUS':
+                this.emit('outbox', data);
                 break;
         }
     }
 
-    handleWorkerMessage(data) {
-        switch(data.type) {
-            case 'COMPUTATION_RESULT':
-                // Handle computation result
-                break;
+    postToServiceWorker(message) {
+        const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+        if (controller) {
+            controller.postMessage(message);
         }
     }
 
-    showUpdateNotification() {
-        // Show subtle update notification
-        const notification = document.createElement('div');
-        notification.innerHTML = 'Nova versão disponível';
-        notification.style.cssText = `
+    // Pergunta ao service worker e aguarda a resposta via MessagePort (null se não houver)
+    requestFromServiceWorker(message, timeout = 2000) {
+        return new Promise(resolve => {
+            const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+            if (!controller) {
+                resolve(null);
+                return;
+            }
+
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), timeout);
+
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                resolve(event.data);
+            };
+
+            controller.postMessage(message, [channel.port2]);
+        });
+    }
+
+    // Novo service worker aguardando: ativar apenas quando o usuário confirmar
+    showUpdateNotification(waitingWorker) {
+        this.showUpdatePrompt({
+            message: 'Nova versão disponível',
+            actionLabel: 'Atualizar',
+            onAccept: () => {
+                this.updateAccepted = true;
+                waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    }
+
+    // Prompt acessível (região live, botões focáveis, Esc fecha) - sem timeout automático
+    showUpdatePrompt({ message, actionLabel, busyLabel = 'Atualizando...', onAccept, onDismiss }) {
+        this.dismissUpdatePrompt();
+
+        const prompt = document.createElement('div');
+        prompt.setAttribute('role', 'status');
+        prompt.setAttribute('aria-live', 'polite');
+        prompt.style.cssText = `
             position: fixed;
             bottom: 20px;
             right: 20px;
-            background: var(--quantum-gold);
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            background: var(--quantum-gold, #D4AF37);
             color: black;
-            padding: 10px 20px;
+            padding: 10px 12px 10px 20px;
             border-radius: 5px;
             z-index: 10000;
-            cursor: pointer;
+            font-family: Inter, sans-serif;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
         `;
-        
-        notification.onclick = () => {
-            window.location.reload();
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const acceptButton = this.createPromptButton(actionLabel, true);
+        acceptButton.addEventListener('click', () => {
+            acceptButton.disabled = true;
+            acceptButton.textContent = busyLabel;
+            onAccept();
+        });
+
+        const dismiss = () => {
+            this.dismissUpdatePrompt();
+            if (onDismiss) onDismiss();
         };
-        
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
+
+        const dismissButton = this.createPromptButton('Agora não', false);
+        dismissButton.addEventListener('click', dismiss);
+
+        prompt.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                dismiss();
+            }
+        });
+
+        prompt.append(text, acceptButton, dismissButton);
+        document.body.appendChild(prompt);
+        this.updatePrompt = prompt;
+    }
+
+    createPromptButton(label, isPrimary) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.style.cssText = `
+            min-height: 44px;
+            padding: 0 16px;
+            border-radius: 4px;
+            border: 1px solid black;
+            background: ${isPrimary ? 'black' : 'transparent'};
+            color: ${isPrimary ? 'var(--quantum-gold, #D4AF37)' : 'black'};
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+        return button;
+    }
+
+    dismissUpdatePrompt() {
+        if (this.updatePrompt) {
+            this.updatePrompt.remove();
+            this.updatePrompt = null;
+        }
     }
 
     // Public API
     getMetrics() {
         return this.metrics;
     }
+
+    // Cada orçamento com limite, valor atual e status, mais as violações registradas
+    getBudgetReport() {
+        return {
+            page: window.location.pathname,
+            budgets: Object.entries(this.budget).map(([name, limit]) => {
+                const actual = this.getBudgetActual(name);
+                return { name, limit, actual, status: actual > limit ? 'violated' : 'ok' };
+            }),
+            violations: Array.from(this.budgetViolations.values())
+        };
+    }
+
+    // De onde vem cada métrica: elemento/recurso do LCP, elementos do maior layout shift
+    // e alvo da interação mais lenta (com input delay, processamento e apresentação)
+    getAttribution() {
+        return {
+            ...this.attribution,
+            slowestInteractions: this.slowestInteractions || []
+        };
+    }
+
+    // Hits, misses, timeouts e fallbacks por estratégia do sw.js (critical/static/dynamic/external)
+    async getCacheStats() {
+        const response = await this.requestFromServiceWorker({ type: 'GET_CACHE_STATS' });
+        return response ? response.stats : null;
+    }
+
+    // 'high' | 'medium' | 'low': quanto de partícula e animação este aparelho aguenta agora
+    getTier() {
+        return this.tier;
+    }
+
+    // 'none' | 'reduce' | 'stop': quanto os efeitos devem recuar por travamentos desta page view
+    getDegradeLevel() {
+        return this.degradeLevel;
+    }
+
+    // Próximas páginas prováveis a partir desta: [{ url, probability }] (null sem service worker)
+    async getNavigationPredictions() {
+        const response = await this.requestFromServiceWorker({
+            type: 'GET_PREDICTIONS',
+            from: window.location.pathname
+        });
+        return response ? response.predictions : null;
+    }
+
+    canInstall() {
+        return Boolean(this.installPromptEvent) && !this.isStandalone();
+    }
+
+    // Abre o diálogo nativo de instalação (precisa de um gesto do usuário).
+    // Resolve com 'accepted', 'dismissed' ou 'unavailable'.
+    async promptInstall() {
+        const promptEvent = this.installPromptEvent;
+        if (!promptEvent) return 'unavailable';
+
+        // O beforeinstallprompt só pode ser usado uma vez
+        this.installPromptEvent = null;
+        promptEvent.prompt();
+
+        const { outcome } = await promptEvent.userChoice;
+        if (outcome === 'dismissed') {
+            this.rememberInstallDismissal();
+        }
+        return outcome;
+    }
+
+    // Oferece a instalação num momento natural (ex.: fim do assessment). Não aparece se o app
+    // já está instalado, se o usuário recusou recentemente ou sobre um aviso de atualização.
+    offerInstall(message = 'Instale o app para acessar seus resultados offline') {
+        if (!this.canInstall() || this.isInstallDismissed() || this.updatePrompt) return false;
+
+        this.showUpdatePrompt({
+            message,
+            actionLabel: 'Instalar',
+            busyLabel: 'Instalando...',
+            onAccept: async () => {
+                await this.promptInstall();
+                this.dismissUpdatePrompt();
+            },
+            onDismiss: () => this.rememberInstallDismissal()
+        });
+        return true;
+    }
+
+    // Executa a task name do task-worker.js no pool de workers e resolve com o resultado.
+    // transfer: ArrayBuffers transferidos (não copiados); timeout conta desde a chamada.
+    runTask(name, payload, { transfer = [], timeout = TASK_DEFAULT_TIMEOUT } = {}) {
+        if (!this.workerPool) {
+            return this.runTaskOnMainThread(name, payload, timeout);
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextTaskId++, name, payload, transfer, timeout, resolve, reject };
+
+            // Na fila: só sai dela; executando: o worker travado é descartado
+            task.timer = setTimeout(() => {
+                const pool = this.workerPool;
+                const slot = pool && pool.workers.find(candidate => candidate.task === task);
+
+                if (slot) {
+                    this.retireWorker(slot, this.createTaskTimeoutError(name, timeout));
+                } else {
+                    if (pool) pool.queue = pool.queue.filter(candidate => candidate !== task);
+                    reject(this.createTaskTimeoutError(name, timeout));
+                }
+            }, timeout);
+
+            this.workerPool.queue.push(task);
+            this.dispatchTasks();
+        });
+    }
+
+    // Agenda uma leitura de layout (getBoundingClientRect, scrollY, offsetHeight...) para o
+    // próximo frame, antes de todas as escritas. Resolve com o retorno de fn.
+    measure(fn) {
+        return this.enqueueDomTask('read', fn);
+    }
+
+    // Agenda uma escrita no DOM (style, classList...) para depois das leituras do frame.
+    // Resolve com o retorno de fn; um erro em fn rejeita só esta promise.
+    mutate(fn) {
+        return this.enqueueDomTask('write', fn);
+    }
+
+    // Transforma um container com altura fixa numa lista virtual.
+    // options: items (padrão: os filhos atuais), renderItem(item, index) → Element, overscan,
+    // estimatedItemHeight.
+    // Num container que já é virtual ([data-virtual-scroll]), troca o renderItem e acrescenta os items.
+    createVirtualList(container, options = {}) {
+        const list = this.virtualLists.get(container);
+        if (!list) return this.setupVirtualScrolling(container, options);
+
+        if (options.renderItem) list.renderItem = options.renderItem;
+        const handle = this.getVirtualListHandle(list);
+        if (options.items) handle.append(options.items);
+        return handle;
+    }
+
+    // { length, append(items), scrollToIndex(index), refresh() } ou null
+    getVirtualList(container) {
+        const list = this.virtualLists.get(container);
+        return list ? this.getVirtualListHandle(list) : null;
+    }
+
+    // Desliga o optimizer: remove listeners, desconecta observers, para loops de
+    // requestAnimationFrame e timers e encerra os workers (tasks pendentes rejeitam com
+    // AbortError). O service worker continua registrado e os estilos injetados ficam.
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers.clear();
+        this.virtualLists.clear();
+
+        this.terminateWorkerPool(Object.assign(new Error('UltraPerformanceOptimizer destruído'), { name: 'AbortError' }));
+        this.dismissUpdatePrompt();
+
+        // As páginas voltam aos próprios fallbacks (window.ultraOptimizer ausente)
+        if (window.ultraOptimizer === this) {
+            window.ultraOptimizer = undefined;
+        }
+    }
+
+    // Envia uma submissão (lead, assessment) pelo outbox do service worker.
+    // Resolve com status 'sent', 'queued' (será reenviada ao voltar online) ou 'failed' e o
+    // submissionId, que os eventos ultra:outbox seguintes trazem para identificar a submissão.
+    async submit(endpoint, payload) {
+        const submissionId = window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Submission-Id': submissionId
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (response.headers.get('X-Outbox-Status') === 'queued') {
+                return { status: 'queued', submissionId };
+            }
+
+            return { status: response.ok ? 'sent' : 'failed', submissionId };
+
+        } catch (error) {
+            return { status: 'failed', submissionId, error };
+        }
+    }
+}
+
+// Página em prerender (Speculation Rules): a instância só nasce na ativação, sem rede, workers
+// ou métricas para uma página que talvez nunca seja vista. Até lá as páginas usam os fallbacks
+function createUltraOptimizer() {
+    if (document.prerendering) {
+        document.addEventListener('prerenderingchange', createUltraOptimizer, { once: true });
+        return;
+    }
+
+    window.ultraOptimizer = new UltraPerformanceOptimizer(window.ultraOptimizerOptions);
+    window.ultraOptimizer.emit('ready', {});
 }
 
-// Initialize when DOM is ready
+// Initialize when DOM is ready (window.ultraOptimizerOptions, se definido antes, vira as options)
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.ultraOptimizer = new UltraPerformanceOptimizer();
-    });
+    document.addEventListener('DOMContentLoaded', createUltraOptimizer);
 } else {
-    window.ultraOptimizer = new UltraPerformanceOptimizer();
+    createUltraOptimizer();
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Gerado por scripts/build-precache-manifest.js - não editar manualmente
+self.__PRECACHE_MANIFEST = [
+    { url: '/about/aristocratic-reveal.css', revision: '6b1e84e7e83d' },
+    { url: '/about/index.html', revision: '24c2e4491bb8' },
+    { url: '/about/neural-sales-system.html', revision: '6b3ac0d5f447' },
+    { url: '/about/styles.css', revision: '9ca340e1a989' },
+    { url: '/analytics-dashboard/index.html', revision: '7883a4672dfc' },
+    { url: '/analytics-dashboard/styles.css', revision: 'f314d476a9fa' },
+    { url: '/assessment/index.html', revision: '710c2774ae1c' },
+    { url: '/assessment/styles.css', revision: '702d5f29c000' },
+    { url: '/capabilities/index.html', revision: '4b75b567832d' },
+    { url: '/capabilities/script.js', revision: 'e121dc44d7dd' },
+    { url: '/capabilities/styles.css', revision: '04a5269a1a1d' },
+    { url: '/home/index.html', revision: '607d61293be0' },
+    { url: '/home/styles.css', revision: 'e704ff69cd39' },
+    { url: '/image/Logo%20oficial.png', revision: '4cebd12d0d75' },
+    { url: '/index.html', revision: '19d62e1782c8' },
+    { url: '/manifest.json', revision: 'c31b416994d0' },
+    { url: '/offline/index.html', revision: '3b7de90127ca' },
+    { url: '/performance-optimizer.js', revision: '26d41c204b2a' },
+    { url: '/strategic-assessment-new/index.html', revision: '2166355a8223' },
+    { url: '/strategic-assessment/index.html', revision: 'cd707727704e' },
+    { url: '/strategic-assessment/styles.css', revision: '6765b44fcc7a' },
+    { url: '/task-worker.js', revision: 'cf1f304d30e0' },
+    { url: '/vendor/aos/2.3.1/aos.js', revision: '70b489710848' },
+    { url: '/vendor/canvas-confetti/1.5.1/confetti.browser.js', revision: 'c34894acee16' },
+    { url: '/vendor/chart.js/4.4.0/chart.umd.js', revision: '07142c7f1461' },
+    { url: '/vendor/font-awesome/6.4.0/css/all.min.css', revision: 'ded1c367363e' },
+    { url: '/vendor/font-awesome/6.4.0/webfonts/fa-solid-900.woff2', revision: 'c64278386c2b' },
+    { url: '/vendor/fonts/fonts.css', revision: '4cf738cd5d50' },
+    { url: '/vendor/fonts/inter-latin-wght-normal.woff2', revision: 'a041fab952a8' },
+    { url: '/vendor/fonts/jetbrains-mono-latin-wght-normal.woff2', revision: '3abb30f52a2b' },
+    { url: '/vendor/fonts/playfair-display-latin-wght-italic.woff2', revision: 'b6e7b79a2581' },
+    { url: '/vendor/fonts/playfair-display-latin-wght-normal.woff2', revision: '4fd0bd52a1f0' },
+    { url: '/vendor/fonts/raleway-latin-wght-normal.woff2', revision: '2246321fe8a1' },
+    { url: '/vendor/particles.js/2.0.0/particles.js', revision: 'f10f10368bb1' }
+];
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+// Dynamic Solutions Critical CSS Builder
+// Renderiza cada página no Chrome headless (mobile e desktop), separa as regras do stylesheet
+// da página que atingem algum elemento acima da dobra e as embute num <style data-critical-css>;
+// o stylesheet completo passa a carregar sem bloquear o render (media="print" → "all").
+//
+// Uso: node --experimental-websocket scripts/build-critical-css.js   (Node.js 22+: sem a flag)
+//   CHROME_PATH / CHROME_FLAGS   ver scripts/lib/headless-chrome.js
+//   PORT                         porta do dev server usado nas medições (padrão 8141)
+//
+// O CSS de cada página fica em <pasta>/styles.css - é ele que se edita. Blocos <style> inline
+// do <head> são movidos para lá na primeira execução. Páginas em SHARED_STYLESHEETS usam o
+// styles.css de outra pasta (o bloco crítico continua medido por página). Rode novamente depois
+// de mudar o CSS ou o HTML acima da dobra e commite o resultado.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { launchChrome } = require('./lib/headless-chrome');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8141;
+const SETTLE_DELAY = 1500;
+const STYLESHEET = 'styles.css';
+
+// index.html (redirecionamento) e offline/ (servida pelo service worker sem rede) continuam
+// com o CSS inline completo
+const PAGE_FILES = [
+    'home/index.html',
+    'about/index.html',
+    'capabilities/index.html',
+    'analytics-dashboard/index.html',
+    'assessment/index.html',
+    'strategic-assessment/index.html',
+    'strategic-assessment-new/index.html'
+];
+
+// Página → href (relativo a ela) do stylesheet que ela divide com outra página
+const SHARED_STYLESHEETS = {
+    'strategic-assessment-new/index.html': '../strategic-assessment/styles.css'
+};
+
+const VIEWPORTS = {
+    mobile: { width: 412, height: 915, deviceScaleFactor: 2, mobile: true },
+    desktop: { width: 1280, height: 800, deviceScaleFactor: 1, mobile: false }
+};
+
+const CRITICAL_COMMENT = '<!-- Critical CSS: gerado por scripts/build-critical-css.js - o restante de styles.css carrega sem bloquear o render -->';
+const PLACEHOLDER = '<!-- critical-css -->';
+
+// <style> sem atributos no <head>, com o comentário da linha anterior
+const INLINE_STYLE_PATTERN = /(?:[ \t]*<!--(?:(?!-->)[^\n])*-->\n)?([ \t]*)<style>\n?([\s\S]*?)<\/style>\n/g;
+
+// Bloco gerado (para substituir nas execuções seguintes) e <link> bloqueante, para o href da página
+function generatedPattern(href) {
+    return new RegExp(
+        `([ \\t]*)<!-- Critical CSS: gerado[^\\n]*\\n[ \\t]*<style data-critical-css>[\\s\\S]*?</style>\\n` +
+        `[ \\t]*<link rel="stylesheet" href="${escapeRegExp(href)}"[^>]*>\\n[ \\t]*<noscript>[^\\n]*</noscript>\\n`
+    );
+}
+
+function blockingLinkPattern(href) {
+    return new RegExp(`([ \\t]*)<link rel="stylesheet" href="${escapeRegExp(href)}">\\n`);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stylesheetHref(page) {
+    return SHARED_STYLESHEETS[page] || STYLESHEET;
+}
+
+function stylesheetPath(page) {
+    return path.join(ROOT_DIR, path.dirname(page), stylesheetHref(page));
+}
+
+// Regras do styles.css com o texto original (o cssText do CSSOM perde valores, ex.: shorthands
+// com var()). style: seletor + regra; group: @media/@supports com as regras internas
+function parseCss(css) {
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const compact = text => text.replace(/\s+/g, ' ').trim();
+    let index = 0;
+    let nextId = 0;
+
+    // Avança até {, ; ou } fora de strings e parênteses
+    const readPrelude = () => {
+        const start = index;
+        let quote = null;
+        let parens = 0;
+
+        for (; index < source.length; index++) {
+            const character = source[index];
+            if (quote) {
+                if (character === '\\') index++;
+                else if (character === quote) quote = null;
+            } else if (character === '"' || character === "'") {
+                quote = character;
+            } else if (character === '(') {
+                parens++;
+            } else if (character === ')') {
+                parens--;
+            } else if (!parens && '{;}'.includes(character)) {
+                break;
+            }
+        }
+
+        return compact(source.slice(start, index));
+    };
+
+    // index no {: devolve o conteúdo até o } correspondente
+    const readBlock = () => {
+        const start = index + 1;
+        let depth = 0;
+        let quote = null;
+
+        for (; index < source.length; index++) {
+            const character = source[index];
+            if (quote) {
+                if (character === '\\') index++;
+                else if (character === quote) quote = null;
+            } else if (character === '"' || character === "'") {
+                quote = character;
+            } else if (character === '{') {
+                depth++;
+            } else if (character === '}' && --depth === 0) {
+                index++;
+                return compact(source.slice(start, index - 1));
+            }
+        }
+
+        return compact(source.slice(start));
+    };
+
+    const readRules = () => {
+        const rules = [];
+
+        while (index < source.length) {
+            const prelude = readPrelude();
+            const character = source[index];
+
+            if (character === '}') {
+                index++;
+                return rules;
+            }
+
+            if (character !== '{') {
+                index++;
+                if (prelude) rules.push({ type: 'other', text: `${prelude};` });
+            } else if (/^@(?:media|supports|container|layer)\b/i.test(prelude)) {
+                index++;
+                rules.push({ type: 'group', prelude, rules: readRules() });
+            } else {
+                const text = `${prelude} { ${readBlock()} }`;
+                if (/^@(?:-webkit-)?keyframes\s/i.test(prelude)) {
+                    rules.push({ type: 'keyframes', name: prelude.split(/\s+/)[1], text });
+                } else if (prelude.startsWith('@')) {
+                    rules.push({ type: 'other', text });
+                } else {
+                    rules.push({ type: 'style', id: nextId++, selector: prelude, text });
+                }
+            }
+        }
+
+        return rules;
+    };
+
+    return readRules();
+}
+
+function styleRules(rules) {
+    return rules.flatMap(rule => rule.type === 'group' ? styleRules(rule.rules) : rule.type === 'style' ? [rule] : []);
+}
+
+// Roda na página. Para cada seletor (sem pseudo-classes de estado e pseudo-elementos), se ele
+// casa com algum elemento no primeiro viewport - ou com um filho oculto (display: none) de um
+// deles, para que a regra que o esconde também entre
+function matchAboveFold(selectors) {
+    const viewportHeight = window.innerHeight;
+    const visible = new Set([document.documentElement, document.body]);
+    const hidden = [];
+
+    document.body.querySelectorAll('*').forEach(element => {
+        if (element.getClientRects().length) {
+            const rect = element.getBoundingClientRect();
+            if (rect.top < viewportHeight && rect.bottom >= 0) visible.add(element);
+        } else if (visible.has(element.parentElement)) {
+            hidden.push(element);
+        }
+    });
+
+    const elements = Array.from(visible).concat(hidden);
+    const statePseudo = /::?(?:before|after|hover|focus(?:-within|-visible)?|active|visited|link|target|checked|placeholder|selection|first-letter|first-line|marker|backdrop|-webkit-[\w-]+|-moz-[\w-]+)(?:\([^)]*\))?/g;
+
+    return selectors.map(selectorText => {
+        const selector = selectorText.replace(statePseudo, '').replace(/(^|,)\s*(?=,|$)/g, '$1*');
+        try {
+            return elements.some(element => element.matches(selector));
+        } catch {
+            // Seletor que o Chrome não entende (ex.: só para outro navegador): mantém
+            return true;
+        }
+    });
+}
+
+// Regras escolhidas na ordem do stylesheet (mantém a cascata), com os @media/@supports que as
+// envolvem, as demais at-rules (@font-face...) e os @keyframes que elas usam
+function renderCriticalRules(rules, matched) {
+    const keyframes = [];
+    const render = list => list.flatMap(rule => {
+        if (rule.type === 'group') {
+            const inner = render(rule.rules);
+            return inner.length ? [`${rule.prelude} { ${inner.join(' ')} }`] : [];
+        }
+        if (rule.type === 'keyframes') {
+            keyframes.push(rule);
+            return [];
+        }
+        return rule.type === 'other' || matched.has(rule.id) ? [rule.text] : [];
+    });
+
+    const lines = render(rules);
+    const used = lines.join('\n');
+    keyframes.forEach(rule => {
+        if (new RegExp(`animation(?:-name)?\\s*:[^;}]*\\b${rule.name}\\b`).test(used)) lines.push(rule.text);
+    });
+
+    return lines;
+}
+
+function dedent(css) {
+    const lines = css.replace(/\s+$/, '').split('\n');
+    const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(indent)).join('\n');
+}
+
+// Troca o CSS da página (bloco gerado, <link> bloqueante ou <style> inline) por um marcador.
+// Não grava nada: devolve { html, indent, css } com o CSS que vai para o styles.css (o inline
+// movido na primeira execução, senão o do disco) e inlineMoved
+function preparePage(page) {
+    const filePath = path.join(ROOT_DIR, page);
+    const href = stylesheetHref(page);
+    const html = fs.readFileSync(filePath, 'utf8');
+    const headEnd = html.indexOf('</head>');
+    let head = html.slice(0, headEnd);
+    let indent = null;
+
+    const generated = head.match(generatedPattern(href)) || head.match(blockingLinkPattern(href));
+    if (generated) {
+        indent = generated[1];
+        head = head.replace(generated[0], `${indent}${PLACEHOLDER}\n`);
+    }
+
+    const inlineStyles = [];
+    head = head.replace(INLINE_STYLE_PATTERN, (block, blockIndent, css) => {
+        inlineStyles.push(dedent(css));
+        if (indent !== null) return '';
+        indent = blockIndent;
+        return `${indent}${PLACEHOLDER}\n`;
+    });
+
+    if (inlineStyles.length && fs.existsSync(stylesheetPath(page))) {
+        throw new Error(`${page} tem <style> inline e ${href} - junte os dois manualmente`);
+    }
+
+    if (indent === null) {
+        throw new Error(`${page} não tem CSS próprio (<style> no <head> ou <link href="${href}">)`);
+    }
+
+    return {
+        html: head + html.slice(headEnd),
+        indent,
+        css: inlineStyles.length ? inlineStyles.join('\n\n') + '\n' : fs.readFileSync(stylesheetPath(page), 'utf8'),
+        inlineMoved: inlineStyles.length
+    };
+}
+
+function renderCriticalBlock(indent, rules, href) {
+    return [
+        `${indent}${CRITICAL_COMMENT}`,
+        `${indent}<style data-critical-css>`,
+        ...rules.map(rule => `${indent}    ${rule}`),
+        `${indent}</style>`,
+        `${indent}<link rel="stylesheet" href="${href}" media="print" onload="this.media='all'">`,
+        `${indent}<noscript><link rel="stylesheet" href="${href}"></noscript>`
+    ].join('\n') + '\n';
+}
+
+function renderPage(page, { html, indent }, rules) {
+    return html.replace(`${indent}${PLACEHOLDER}\n`, renderCriticalBlock(indent, rules, stylesheetHref(page)));
+}
+
+function pageUrl(relativePath) {
+    return `http://localhost:${PORT}/${relativePath.split(path.sep).join('/')}`;
+}
+
+function startDevServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js')], {
+            env: { ...process.env, PORT: String(PORT) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('[dev]')) resolve(server);
+        });
+        server.on('exit', code => reject(new Error(`dev server encerrou (código ${code})`)));
+    });
+}
+
+// Em cada viewport a página é medida duas vezes: sem JavaScript (estado inicial do HTML, como
+// no primeiro paint) e com JavaScript depois de assentar (classes e conteúdo dos scripts).
+// A página é servida da memória sem o bloco crítico (só o stylesheet completo), com o CSS
+// preparado - os arquivos do disco não mudam durante a medição
+async function extractCriticalRules(browser, page, prepared) {
+    const rules = parseCss(prepared.css);
+    const selectors = styleRules(rules);
+    const match = `(${matchAboveFold})(${JSON.stringify(selectors.map(rule => rule.selector))})`;
+    const matched = new Set();
+
+    for (const viewport of Object.values(VIEWPORTS)) {
+        for (const scriptDisabled of [true, false]) {
+            const tab = await browser.newPage();
+            await tab.serveFromMemory({
+                [pageUrl(page)]: { body: renderPage(page, prepared, []), contentType: 'text/html; charset=utf-8' },
+                [pageUrl(path.relative(ROOT_DIR, stylesheetPath(page)))]: { body: prepared.css, contentType: 'text/css; charset=utf-8' }
+            });
+            await tab.setViewport(viewport);
+            await tab.send('Emulation.setScriptExecutionDisabled', { value: scriptDisabled });
+            await tab.goto(pageUrl(page));
+            if (!scriptDisabled) await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+
+            (await tab.evaluate(match)).forEach((isMatch, index) => {
+                if (isMatch) matched.add(selectors[index].id);
+            });
+            await tab.close();
+        }
+    }
+
+    return renderCriticalRules(rules, matched);
+}
+
+// Mede todas as páginas antes de gravar: se o Chrome ou o servidor falharem, o HTML e os
+// stylesheets ficam como estavam
+async function main() {
+    const pages = PAGE_FILES.filter(page => fs.existsSync(path.join(ROOT_DIR, page)));
+    const prepared = Object.fromEntries(pages.map(page => [page, preparePage(page)]));
+
+    const server = await startDevServer();
+    const results = {};
+    let browser = null;
+
+    try {
+        browser = await launchChrome();
+        for (const page of pages) {
+            results[page] = await extractCriticalRules(browser, page, prepared[page]);
+        }
+    } finally {
+        if (browser) await browser.close();
+        server.kill();
+    }
+
+    pages.forEach(page => {
+        const { css, inlineMoved } = prepared[page];
+        const stylesheetSize = Buffer.byteLength(css);
+        const criticalSize = Buffer.byteLength(results[page].join('\n'));
+
+        if (inlineMoved) {
+            fs.writeFileSync(stylesheetPath(page), css);
+            console.log(`[critical] ${inlineMoved} bloco(s) <style> de ${page} -> ${path.relative(ROOT_DIR, stylesheetPath(page))}`);
+        }
+
+        fs.writeFileSync(path.join(ROOT_DIR, page), renderPage(page, prepared[page], results[page]));
+        console.log(`[critical] ${page}: ${results[page].length} regras, ${criticalSize} de ${stylesheetSize} bytes inline`);
+    });
+}
+
+main().catch(error => {
+    console.error('[critical] falhou:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Dynamic Solutions Precache Manifest Builder
+// Percorre o site e gera precache-manifest.js com hashes de conteúdo para o sw.js
+//
+// Uso: node scripts/build-precache-manifest.js
+// Execute antes de cada deploy - o service worker invalida apenas os arquivos cujo hash mudou.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const OUTPUT_FILE = path.join(ROOT_DIR, 'precache-manifest.js');
+
+// Tipos de arquivo servidos pelo site
+const PRECACHE_EXTENSIONS = new Set(['.html', '.css', '.js', '.json', '.png', '.svg', '.woff2']);
+
+// Caminhos (relativos à raiz) que nunca entram no precache
+const EXCLUDED_PATHS = new Set([
+    'scripts',
+    'node_modules',
+    'sw.js',
+    'sw-routes.js',
+    'precache-manifest.js',
+    'vendor/integrity.json',
+    'test-redirect.html',
+    'image/Logo Prophetique.svg',
+    // Variantes do scripts/build-responsive-images.js: vão para o cache sob demanda (só a
+    // largura/formato que cada aparelho pede). O original fica no precache como fallback
+    // offline delas (offlineFallback da rota responsive-images em sw-routes.js)
+    'image/responsive',
+    // Lidos pelo navegador ao instalar o app (manifest.json), não pelas páginas
+    'image/icons',
+    // Font Awesome: as páginas só usam ícones fas (solid). Os outros pesos que o all.min.css
+    // declara vêm da rede sob demanda se algum ícone passar a usá-los
+    'vendor/font-awesome/6.4.0/webfonts/fa-brands-400.woff2',
+    'vendor/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+    'vendor/font-awesome/6.4.0/webfonts/fa-v4compatibility.woff2'
+]);
+
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const absolutePath = path.join(dir, entry.name);
+        const relativePath = path.relative(ROOT_DIR, absolutePath).split(path.sep).join('/');
+
+        if (entry.name.startsWith('.') || EXCLUDED_PATHS.has(relativePath)) {
+            return [];
+        }
+
+        if (entry.isDirectory()) {
+            return walk(absolutePath);
+        }
+
+        return PRECACHE_EXTENSIONS.has(path.extname(entry.name)) ? [relativePath] : [];
+    });
+}
+
+function hashFile(relativePath) {
+    return crypto
+        .createHash('md5')
+        .update(fs.readFileSync(path.join(ROOT_DIR, relativePath)))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+// URL absoluta no mesmo formato de URL.pathname (segmentos percent-encoded)
+function toUrl(relativePath) {
+    return '/' + relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function buildManifest() {
+    return walk(ROOT_DIR)
+        .sort()
+        .map(relativePath => ({
+            url: toUrl(relativePath),
+            revision: hashFile(relativePath)
+        }));
+}
+
+function writeManifest(manifest) {
+    const entries = manifest
+        .map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`)
+        .join(',\n');
+
+    const source = `// Gerado por scripts/build-precache-manifest.js - não editar manualmente
+self.__PRECACHE_MANIFEST = [
+${entries}
+];
+`;
+
+    fs.writeFileSync(OUTPUT_FILE, source);
+}
+
+const manifest = buildManifest();
+writeManifest(manifest);
+console.log(`[precache] ${manifest.length} arquivos -> ${path.relative(ROOT_DIR, OUTPUT_FILE)}`);
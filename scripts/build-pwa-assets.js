@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// Dynamic Solutions PWA Assets Builder
+// Gera os ícones (any, maskable, apple-touch) a partir do logo e captura screenshots reais
+// das páginas; atualiza "icons" e "screenshots" no manifest.json.
+//
+// Uso: node --experimental-websocket scripts/build-pwa-assets.js   (Node.js 22+: sem a flag)
+//   CHROME_PATH / CHROME_FLAGS   ver scripts/lib/headless-chrome.js
+//   PORT                         porta do dev server usado nas capturas (padrão 8137)
+//
+// Rode novamente quando o logo ou o visual das páginas mudar e commite o resultado.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { launchChrome } = require('./lib/headless-chrome');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'manifest.json');
+const LOGO_FILE = path.join(ROOT_DIR, 'image', 'Logo oficial.png');
+const ICONS_DIR = 'image/icons';
+const SCREENSHOTS_DIR = 'image/screenshots';
+const PORT = Number(process.env.PORT) || 8137;
+
+// Fundo da marca (background_color do manifest) - o logo dourado some em fundos claros
+const ICON_BACKGROUND = '#000000';
+
+// scale: tamanho do logo em relação ao ícone. O PNG já tem margem transparente; no
+// maskable o desenho precisa caber no círculo seguro de 80% do diâmetro.
+const ICONS = [
+    ...[48, 72, 96, 144, 192, 256, 512].map(size => ({ size, purpose: 'any', scale: 1.15 })),
+    ...[192, 512].map(size => ({ size, purpose: 'maskable', scale: 0.85 })),
+    { size: 180, purpose: 'apple-touch', scale: 1 }
+];
+
+// Capturas usadas no diálogo de instalação (wide = desktop, narrow = mobile)
+const SCREENSHOTS = [
+    { page: '/home/index.html', name: 'home', formFactor: 'wide', label: 'Página inicial da Dynamic Solutions' },
+    { page: '/analytics-dashboard/index.html', name: 'dashboard', formFactor: 'wide', label: 'Dashboard executivo de impacto da IA' },
+    { page: '/capabilities/index.html', name: 'capabilities', formFactor: 'wide', label: 'Portfólio de capacidades' },
+    { page: '/home/index.html', name: 'home', formFactor: 'narrow', label: 'Página inicial no celular' },
+    { page: '/strategic-assessment/index.html', name: 'assessment', formFactor: 'narrow', label: 'Avaliação estratégica no celular' },
+    { page: '/capabilities/index.html', name: 'capabilities', formFactor: 'narrow', label: 'Capacidades no celular' }
+];
+
+const VIEWPORTS = {
+    wide: { width: 1280, height: 800, deviceScaleFactor: 1, mobile: false },
+    narrow: { width: 412, height: 915, deviceScaleFactor: 2, mobile: true }
+};
+
+// Animações de entrada e telas de loading (ex.: dashboard) antes da captura
+const SETTLE_DELAY = 4000;
+const SCREENSHOT_QUALITY = 80;
+
+function iconFileName({ size, purpose }) {
+    if (purpose === 'apple-touch') return 'apple-touch-icon.png';
+    return purpose === 'maskable' ? `icon-maskable-${size}.png` : `icon-${size}.png`;
+}
+
+function writeAsset(relativePath, content) {
+    const target = path.join(ROOT_DIR, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+async function buildIcons(browser) {
+    const page = await browser.newPage();
+    const logo = `data:image/png;base64,${fs.readFileSync(LOGO_FILE).toString('base64')}`;
+
+    for (const icon of ICONS) {
+        const logoSize = Math.round(icon.size * icon.scale);
+
+        await page.setViewport({ width: icon.size, height: icon.size });
+        await page.setContent(`<!DOCTYPE html>
+            <style>
+                html, body { margin: 0; overflow: hidden; }
+                .icon { width: ${icon.size}px; height: ${icon.size}px; display: flex; align-items: center; justify-content: center; background: ${ICON_BACKGROUND}; }
+                img { width: ${logoSize}px; height: ${logoSize}px; flex-shrink: 0; }
+            </style>
+            <div class="icon"><img src="${logo}"></div>`);
+        await page.evaluate(() => document.querySelector('img').decode());
+
+        const image = await page.screenshot({ clip: { x: 0, y: 0, width: icon.size, height: icon.size } });
+        writeAsset(`${ICONS_DIR}/${iconFileName(icon)}`, image);
+        console.log(`[pwa] ${ICONS_DIR}/${iconFileName(icon)}`);
+    }
+
+    await page.close();
+}
+
+function startDevServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js')], {
+            env: { ...process.env, PORT: String(PORT) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('[dev]')) resolve(server);
+        });
+        server.on('exit', code => reject(new Error(`dev server encerrou (código ${code})`)));
+    });
+}
+
+async function buildScreenshots(browser) {
+    const server = await startDevServer();
+    const screenshots = [];
+
+    try {
+        for (const screenshot of SCREENSHOTS) {
+            const viewport = VIEWPORTS[screenshot.formFactor];
+            const page = await browser.newPage();
+
+            await page.setViewport(viewport);
+            await page.goto(`http://localhost:${PORT}${screenshot.page}`);
+            await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+
+            const fileName = `${screenshot.name}-${screenshot.formFactor}.webp`;
+            writeAsset(`${SCREENSHOTS_DIR}/${fileName}`, await page.screenshot({ format: 'webp', quality: SCREENSHOT_QUALITY }));
+            await page.close();
+
+            screenshots.push({
+                src: `${SCREENSHOTS_DIR}/${fileName}`,
+                sizes: `${viewport.width * viewport.deviceScaleFactor}x${viewport.height * viewport.deviceScaleFactor}`,
+                type: 'image/webp',
+                form_factor: screenshot.formFactor,
+                label: screenshot.label
+            });
+            console.log(`[pwa] ${SCREENSHOTS_DIR}/${fileName}`);
+        }
+    } finally {
+        server.kill();
+    }
+
+    return screenshots;
+}
+
+function updateManifest(screenshots) {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+
+    manifest.icons = ICONS
+        .filter(icon => icon.purpose !== 'apple-touch')
+        .map(icon => ({
+            src: `${ICONS_DIR}/${iconFileName(icon)}`,
+            sizes: `${icon.size}x${icon.size}`,
+            type: 'image/png',
+            purpose: icon.purpose
+        }));
+    manifest.screenshots = screenshots;
+
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`[pwa] ${manifest.icons.length} ícones e ${screenshots.length} screenshots -> manifest.json`);
+}
+
+async function main() {
+    const browser = await launchChrome();
+
+    try {
+        await buildIcons(browser);
+        updateManifest(await buildScreenshots(browser));
+    } finally {
+        await browser.close();
+    }
+}
+
+main().catch(error => {
+    console.error('[pwa] falhou:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+// Dynamic Solutions Responsive Images Builder
+// Gera variantes AVIF/WebP/PNG em várias larguras e um placeholder minúsculo de cada imagem,
+// mede o tamanho renderizado nas páginas (mobile e desktop) e reescreve os <img> como
+// <picture> com srcset/sizes.
+//
+// Uso: node --experimental-websocket scripts/build-responsive-images.js   (Node.js 22+: sem a flag)
+//   CHROME_PATH / CHROME_FLAGS   ver scripts/lib/headless-chrome.js
+//   PORT                         porta do dev server usado nas medições (padrão 8138)
+//
+// WebP e PNG saem do canvas do Chrome; AVIF sai do libavif compilado para WebAssembly
+// (@jsquash/avif, baixado do registry do npm) a partir dos pixels do mesmo canvas. Qualquer
+// formato que não puder ser gerado interrompe o build - as páginas nunca perdem um <source>
+// em silêncio. Rode novamente quando uma imagem ou o layout mudar e commite o resultado.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { spawn } = require('child_process');
+const { launchChrome } = require('./lib/headless-chrome');
+const { fetchPackage } = require('./lib/npm-package');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const OUTPUT_DIR = 'image/responsive';
+const PORT = Number(process.env.PORT) || 8138;
+
+// Encoder AVIF (só roda aqui, nunca vai para o site)
+const AVIF_ENCODER = { package: '@jsquash/avif', version: '2.1.1' };
+
+// source: arquivo original (nunca servido às páginas); name: prefixo das variantes
+const RESPONSIVE_IMAGES = [
+    { source: 'image/Logo oficial.png', name: 'logo-oficial', widths: [128, 256, 384, 512, 768, 1024] }
+];
+
+// Em ordem de preferência: o <picture> oferece cada formato como <source>, o último vai no <img>.
+// encoder: 'chrome' (canvas.toDataURL) ou 'avif' (libavif)
+const FORMATS = [
+    { extension: 'avif', type: 'image/avif', quality: 0.6, encoder: 'avif' },
+    { extension: 'webp', type: 'image/webp', quality: 0.82, encoder: 'chrome' },
+    { extension: 'png', type: 'image/png', encoder: 'chrome' }
+];
+
+// Opções do encode() do libavif (as mesmas do Squoosh); quality entra em escala 0-100
+const AVIF_OPTIONS = {
+    qualityAlpha: -1,
+    denoiseLevel: 0,
+    tileColsLog2: 0,
+    tileRowsLog2: 0,
+    speed: 6,
+    subsample: 1,
+    chromaDeltaQ: false,
+    sharpness: 0,
+    tune: 0,
+    enableSharpYUV: false,
+    bitDepth: 8,
+    lossless: false
+};
+
+// Variante PNG usada no src (navegadores sem srcset)
+const FALLBACK_WIDTH = 512;
+
+// Placeholder embutido no HTML (data: URI), desfocado até a imagem real carregar
+const PLACEHOLDER_WIDTH = 16;
+const PLACEHOLDER_QUALITY = 0.5;
+const PLACEHOLDER_CLASS = 'responsive-placeholder';
+
+// Viewports medidos para o sizes; abaixo de MOBILE_BREAKPOINT vale a largura do mobile
+const VIEWPORTS = {
+    mobile: { width: 412, height: 915, deviceScaleFactor: 2, mobile: true },
+    desktop: { width: 1280, height: 800, deviceScaleFactor: 1, mobile: false }
+};
+const MOBILE_BREAKPOINT = 768;
+const SETTLE_DELAY = 1500;
+
+// Páginas cujos <img> e <link rel="preload"> são reescritos
+const PAGE_FILES = [
+    'index.html',
+    'home/index.html',
+    'about/index.html',
+    'capabilities/index.html',
+    'analytics-dashboard/index.html',
+    'assessment/index.html',
+    'strategic-assessment/index.html',
+    'strategic-assessment-new/index.html'
+];
+
+function writeAsset(relativePath, content) {
+    const target = path.join(ROOT_DIR, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+// O encoder do @jsquash/avif é um módulo ES do Emscripten: extrai num diretório temporário
+// para o import() e entrega o .wasm direto (sem fetch)
+async function loadAvifEncoder(toolsDir) {
+    console.log(`[images] ${AVIF_ENCODER.package}@${AVIF_ENCODER.version}`);
+    const files = await fetchPackage(AVIF_ENCODER.package, AVIF_ENCODER.version);
+
+    files.forEach((content, relativePath) => {
+        const target = path.join(toolsDir, relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    });
+
+    const { default: moduleFactory } = await import(pathToFileURL(path.join(toolsDir, 'codec/enc/avif_enc.js')).href);
+    return moduleFactory({ wasmBinary: fs.readFileSync(path.join(toolsDir, 'codec/enc/avif_enc.wasm')) });
+}
+
+// Desenha a imagem no canvas já na largura final
+function drawCanvas(width) {
+    return `const img = document.querySelector('img');
+        const canvas = document.createElement('canvas');
+        canvas.width = ${width};
+        canvas.height = Math.round(img.naturalHeight * ${width} / img.naturalWidth);
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);`;
+}
+
+// Redimensiona no canvas e codifica; o toDataURL devolve PNG quando o Chrome não codifica o
+// formato pedido, o que interrompe o build
+async function encodeInChrome(page, width, type, quality) {
+    const dataUrl = await page.evaluate(`(() => {
+        ${drawCanvas(width)}
+        return canvas.toDataURL(${JSON.stringify(type)}, ${quality === undefined ? 'undefined' : quality});
+    })()`);
+
+    if (!dataUrl.startsWith(`data:${type};`)) {
+        throw new Error(`Chrome sem encoder ${type} no canvas`);
+    }
+    return dataUrl;
+}
+
+// Pixels RGBA (não pré-multiplicados) do canvas redimensionado, codificados no libavif
+async function encodeAvif(page, avifEncoder, width, quality) {
+    const { pixels, height } = await page.evaluate(`(() => {
+        ${drawCanvas(width)}
+        const bytes = context.getImageData(0, 0, canvas.width, canvas.height).data;
+        let binary = '';
+        for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+        }
+        return { pixels: btoa(binary), height: canvas.height };
+    })()`);
+
+    const encoded = avifEncoder.encode(new Uint8Array(Buffer.from(pixels, 'base64')), width, height,
+        { ...AVIF_OPTIONS, quality: Math.round(quality * 100) });
+    if (!encoded) {
+        throw new Error(`libavif não codificou a largura ${width}`);
+    }
+    return Buffer.from(encoded);
+}
+
+function dataUrlToBuffer(dataUrl) {
+    return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+}
+
+// O Chrome embute o perfil ICC (~500 bytes) em todo WebP - mais que o próprio placeholder.
+// Remove o chunk ICCP e a flag correspondente no VP8X.
+function stripWebpColorProfile(buffer) {
+    const chunks = [];
+    let offset = 12;
+
+    while (offset < buffer.length) {
+        const size = buffer.readUInt32LE(offset + 4);
+        const chunk = Buffer.from(buffer.subarray(offset, offset + 8 + size + (size % 2)));
+        const type = chunk.toString('ascii', 0, 4);
+
+        if (type === 'VP8X') chunk[8] &= ~0x20;
+        if (type !== 'ICCP') chunks.push(chunk);
+        offset += chunk.length;
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.from('RIFF0000WEBP', 'ascii');
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+}
+
+// Variantes de uma imagem → { placeholder, width, height, variants: { type: [{ relativePath, width }] } }
+async function buildVariants(browser, image, avifEncoder) {
+    const page = await browser.newPage();
+    const sourceFile = path.join(ROOT_DIR, image.source);
+
+    await page.setContent(`<!DOCTYPE html><img src="data:image/png;base64,${fs.readFileSync(sourceFile).toString('base64')}">`);
+    const natural = await page.evaluate(`document.querySelector('img').decode().then(() => {
+        const img = document.querySelector('img');
+        return { width: img.naturalWidth, height: img.naturalHeight };
+    })`);
+
+    const widths = image.widths.filter(width => width <= natural.width);
+    const variants = {};
+
+    for (const format of FORMATS) {
+        const files = [];
+
+        for (const width of widths) {
+            const relativePath = `${OUTPUT_DIR}/${image.name}-${width}.${format.extension}`;
+
+            writeAsset(relativePath, format.encoder === 'avif'
+                ? await encodeAvif(page, avifEncoder, width, format.quality)
+                : dataUrlToBuffer(await encodeInChrome(page, width, format.type, format.quality)));
+
+            files.push({ relativePath, width });
+            console.log(`[images] ${relativePath}`);
+        }
+
+        variants[format.type] = files;
+    }
+
+    const placeholder = stripWebpColorProfile(dataUrlToBuffer(await encodeInChrome(page, PLACEHOLDER_WIDTH, 'image/webp', PLACEHOLDER_QUALITY)));
+    await page.close();
+
+    return { ...image, ...natural, placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`, variants };
+}
+
+function relativeUrl(page, relativePath) {
+    return path.posix.relative(path.posix.dirname(page), relativePath).split('/').map(encodeURIComponent).join('/');
+}
+
+function srcset(page, files) {
+    return files.map(file => `${relativeUrl(page, file.relativePath)} ${file.width}w`).join(', ');
+}
+
+// O maior PNG até FALLBACK_WIDTH
+function fallbackUrl(page, image) {
+    const files = image.variants['image/png'];
+    const fallback = files.filter(file => file.width <= FALLBACK_WIDTH).pop() || files[0];
+    return relativeUrl(page, fallback.relativePath);
+}
+
+// <img> originais (src com o nome do arquivo) ou <picture> já gerados numa execução anterior
+function imagePattern(image) {
+    const fileName = path.posix.basename(image.source);
+    const sources = [fileName, encodeURIComponent(fileName)].map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(
+        `^([ \\t]*)(?:<picture data-responsive-image="${image.source}">[\\s\\S]*?(<img\\b[^>]*>)[\\s\\S]*?</picture>` +
+        `|(<img\\b[^>]*\\bsrc="[^"]*(?:${sources.join('|')})[^"]*"[^>]*>))`,
+        'gm'
+    );
+}
+
+function preloadPattern(image) {
+    const fileName = encodeURIComponent(path.posix.basename(image.source)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`<link\\b(?=[^>]*rel="preload")(?=[^>]*(?:data-responsive-image="${image.source}"|href="[^"]*${fileName}[^"]*"))[^>]*>`, 'g');
+}
+
+// Acima da dobra (eager/fetchpriority high): srcset direto, sem placeholder
+function isCritical(tag) {
+    return /\bloading="eager"/.test(tag) || /\bfetchpriority="high"/.test(tag);
+}
+
+// Remove o que uma execução anterior adicionou, devolvendo o <img> ao formato original
+function cleanImageTag(tag) {
+    return tag
+        .replace(/\s(?:src|srcset|sizes|data-src|data-srcset)="[^"]*"/g, '')
+        .replace(/\sclass="([^"]*)"/, (attribute, classes) => {
+            const remaining = classes.split(/\s+/).filter(name => name && name !== PLACEHOLDER_CLASS);
+            return remaining.length ? ` class="${remaining.join(' ')}"` : '';
+        });
+}
+
+function addClass(tag, className) {
+    if (/\sclass="/.test(tag)) {
+        return tag.replace(/\sclass="([^"]*)"/, (attribute, classes) => ` class="${classes} ${className}"`);
+    }
+    return tag.replace(/^<img\b/, `<img class="${className}"`);
+}
+
+function renderPicture(page, image, originalTag, sizes, indent) {
+    const critical = isCritical(originalTag);
+    const types = Object.keys(image.variants);
+    const imgType = types[types.length - 1];
+    const attribute = name => (critical ? name : `data-${name}`);
+
+    const sources = types.slice(0, -1).map(type =>
+        `${indent}    <source type="${type}" ${attribute('srcset')}="${srcset(page, image.variants[type])}" sizes="${sizes}">`);
+
+    let img = cleanImageTag(originalTag);
+    if (critical) {
+        img = img.replace(/^<img\b/, `<img src="${fallbackUrl(page, image)}" srcset="${srcset(page, image.variants[imgType])}" sizes="${sizes}"`);
+    } else {
+        img = addClass(img, PLACEHOLDER_CLASS).replace(/^<img\b/,
+            `<img src="${image.placeholder}" data-src="${fallbackUrl(page, image)}" data-srcset="${srcset(page, image.variants[imgType])}" sizes="${sizes}"`);
+    }
+
+    return [
+        `${indent}<picture data-responsive-image="${image.source}">`,
+        ...sources,
+        `${indent}    ${img}`,
+        `${indent}</picture>`
+    ].join('\n');
+}
+
+// O preload acompanha a primeira imagem crítica da página (mesmo srcset/sizes do <source> preferido)
+function renderPreload(page, image, sizes) {
+    const type = Object.keys(image.variants)[0];
+    return `<link rel="preload" as="image" data-responsive-image="${image.source}" href="${fallbackUrl(page, image)}" ` +
+        `imagesrcset="${srcset(page, image.variants[type])}" imagesizes="${sizes}" type="${type}" fetchpriority="high">`;
+}
+
+// sizes[page][source] → lista na ordem do documento; sem medição, mantém o sizes atual ou 100vw
+function syncPages(images, measuredSizes = {}) {
+    PAGE_FILES.forEach(page => {
+        const filePath = path.join(ROOT_DIR, page);
+        if (!fs.existsSync(filePath)) return;
+
+        const original = fs.readFileSync(filePath, 'utf8');
+        let updated = original;
+
+        images.forEach(image => {
+            const pageSizes = (measuredSizes[page] || {})[image.source] || [];
+            let criticalSizes = null;
+            let index = 0;
+
+            updated = updated.replace(imagePattern(image), (match, indent, pictureImg, originalImg) => {
+                const tag = pictureImg || originalImg;
+                const previous = tag.match(/\ssizes="([^"]*)"/);
+                const sizes = pageSizes[index++] || (previous ? previous[1] : '100vw');
+
+                if (!criticalSizes && isCritical(tag)) criticalSizes = sizes;
+                return renderPicture(page, image, tag, sizes, indent);
+            });
+
+            if (criticalSizes) {
+                updated = updated.replace(preloadPattern(image), () => renderPreload(page, image, criticalSizes));
+            }
+        });
+
+        if (updated !== original) {
+            fs.writeFileSync(filePath, updated);
+            console.log(`[images] ${page} atualizado`);
+        }
+    });
+}
+
+function startDevServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js')], {
+            env: { ...process.env, PORT: String(PORT) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('[dev]')) resolve(server);
+        });
+        server.on('exit', code => reject(new Error(`dev server encerrou (código ${code})`)));
+    });
+}
+
+function formatSizes({ mobile, desktop }) {
+    if (!mobile && !desktop) return null;
+    if (!mobile || !desktop || mobile === desktop) return `${mobile || desktop}px`;
+    return `(max-width: ${MOBILE_BREAKPOINT}px) ${mobile}px, ${desktop}px`;
+}
+
+// Largura renderizada de cada <picture> gerado, com a imagem real no lugar do placeholder
+// (largura de layout, sem transforms de animação; imagens ocultas num viewport medem 0 e
+// ficam com a medida do outro)
+async function measureSizes(browser) {
+    const server = await startDevServer();
+    const widths = {};
+
+    try {
+        const pages = PAGE_FILES.filter(page => {
+            const filePath = path.join(ROOT_DIR, page);
+            return fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8').includes('data-responsive-image=');
+        });
+
+        for (const [viewportName, viewport] of Object.entries(VIEWPORTS)) {
+            const page = await browser.newPage();
+            await page.setViewport(viewport);
+
+            for (const pageFile of pages) {
+                await page.goto(`http://localhost:${PORT}/${pageFile}`);
+                await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+
+                const measured = await page.evaluate(`Promise.all(Array.from(document.querySelectorAll('picture[data-responsive-image]')).map(picture => {
+                    const img = picture.querySelector('img');
+                    picture.querySelectorAll('source').forEach(source => source.remove());
+                    img.removeAttribute('srcset');
+                    img.removeAttribute('sizes');
+                    img.src = img.dataset.src || img.src;
+                    return img.decode().catch(() => {}).then(() => ({
+                        source: picture.dataset.responsiveImage,
+                        width: img.offsetWidth
+                    }));
+                }))`);
+
+                // Índice na ordem do documento entre as imagens da mesma origem
+                const counters = {};
+                measured.forEach(({ source, width }) => {
+                    const pageWidths = widths[pageFile] = widths[pageFile] || {};
+                    const sourceWidths = pageWidths[source] = pageWidths[source] || [];
+                    const index = counters[source] = (counters[source] || 0) + 1;
+
+                    sourceWidths[index - 1] = { ...sourceWidths[index - 1], [viewportName]: width };
+                });
+            }
+
+            await page.close();
+        }
+    } finally {
+        server.kill();
+    }
+
+    return Object.fromEntries(Object.entries(widths).map(([page, sources]) => [
+        page,
+        Object.fromEntries(Object.entries(sources).map(([source, entries]) => [source, entries.map(formatSizes)]))
+    ]));
+}
+
+async function main() {
+    const toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-image-tools-'));
+
+    try {
+        const avifEncoder = await loadAvifEncoder(toolsDir);
+        const browser = await launchChrome();
+
+        try {
+            fs.rmSync(path.join(ROOT_DIR, OUTPUT_DIR), { recursive: true, force: true });
+
+            const images = [];
+            for (const image of RESPONSIVE_IMAGES) {
+                images.push(await buildVariants(browser, image, avifEncoder));
+            }
+
+            // Primeiro com os sizes anteriores (ou 100vw), depois com os medidos
+            syncPages(images);
+            syncPages(images, await measureSizes(browser));
+        } finally {
+            await browser.close();
+        }
+    } finally {
+        fs.rmSync(toolsDir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('[images] falhou:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+// Dynamic Solutions Web Fonts Builder
+// Baixa as fontes variáveis do Fontsource, reduz cada uma aos caracteres que o site usa
+// (harfbuzz hb-subset), gera vendor/fonts/fonts.css com uma fonte local de fallback ajustada
+// às métricas de cada família e grava nas páginas quais arquivos elas realmente usam
+// (data-fonts-preload na tag do performance-optimizer.js, medido no Chrome headless).
+//
+// Uso: node --experimental-websocket scripts/build-web-fonts.js   (Node.js 22+: sem a flag)
+//   CHROME_PATH / CHROME_FLAGS   ver scripts/lib/headless-chrome.js
+//   PORT                         porta do dev server usado nas medições (padrão 8140)
+//
+// Rode novamente quando o texto das páginas ganhar caracteres novos (fora de BASE_CHARACTERS)
+// ou quando uma página passar a usar outra família, e commite o resultado.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { launchChrome } = require('./lib/headless-chrome');
+const { fetchPackage } = require('./lib/npm-package');
+const { computeIntegrity, readIntegrity, writeIntegrity, syncPageIntegrity } = require('./lib/subresource-integrity');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const FONTS_DIR = 'vendor/fonts';
+const STYLESHEET = 'fonts.css';
+const PORT = Number(process.env.PORT) || 8140;
+const SETTLE_DELAY = 1500;
+
+// Ferramentas de build (só rodam aqui, nunca vão para o site)
+const FONT_TOOLS = {
+    harfbuzz: { package: 'harfbuzzjs', version: '1.6.2' },
+    woff2: { package: 'wawoff2', version: '2.0.1' },
+    metrics: { package: '@capsizecss/metrics', version: '4.3.0' }
+};
+
+// Google Fonts → fontes variáveis do Fontsource (mesmos arquivos, uma faixa de pesos por arquivo)
+// metrics/fallback: nomes do @capsizecss/metrics da família e da fonte do sistema que a
+// substitui enquanto o woff2 não chega
+const WEB_FONTS = [
+    { family: 'Inter', package: '@fontsource-variable/inter', version: '5.3.0', styles: ['normal'], metrics: 'inter', fallback: 'arial' },
+    { family: 'Playfair Display', package: '@fontsource-variable/playfair-display', version: '5.3.0', styles: ['normal', 'italic'], metrics: 'playfairDisplay', fallback: 'timesNewRoman' },
+    { family: 'Raleway', package: '@fontsource-variable/raleway', version: '5.3.0', styles: ['normal'], metrics: 'raleway', fallback: 'arial' },
+    { family: 'JetBrains Mono', package: '@fontsource-variable/jetbrains-mono', version: '5.3.0', styles: ['normal'], metrics: 'jetBrainsMono', fallback: 'courierNew' }
+];
+
+// Subset de partida do Fontsource (os arquivos só cobrem essa faixa)
+const FONTSOURCE_SUBSET = 'latin';
+
+// Sempre no subset, mesmo sem aparecer no código: ASCII, letras do português e a pontuação
+// que textos digitados ou colados nos formulários costumam trazer
+const BASE_CHARACTERS = [
+    ...Array.from({ length: 0x7f - 0x20 }, (_, index) => String.fromCharCode(0x20 + index)),
+    ...'ÀÁÂÃÇÉÊÍÓÔÕÚÜàáâãçéêíóôõúü',
+    ...' ªº«»°©®™–—‘’“”•…€'
+].join('');
+
+// Arquivos cujo texto entra no subset e cujos font-family ganham a família de fallback
+const SOURCE_EXTENSIONS = new Set(['.html', '.css', '.js']);
+const EXCLUDED_PATHS = new Set(['scripts', 'node_modules', 'vendor', 'image', 'precache-manifest.js']);
+
+// Páginas medidas (data-fonts-preload) e cujos atributos integrity são sincronizados
+const PAGE_FILES = [
+    'index.html',
+    'home/index.html',
+    'about/index.html',
+    'capabilities/index.html',
+    'analytics-dashboard/index.html',
+    'assessment/index.html',
+    'strategic-assessment/index.html',
+    'strategic-assessment-new/index.html'
+];
+
+const VIEWPORTS = {
+    mobile: { width: 412, height: 915, deviceScaleFactor: 2, mobile: true },
+    desktop: { width: 1280, height: 800, deviceScaleFactor: 1, mobile: false }
+};
+
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const absolutePath = path.join(dir, entry.name);
+        const relativePath = path.relative(ROOT_DIR, absolutePath).split(path.sep).join('/');
+
+        if (entry.name.startsWith('.') || EXCLUDED_PATHS.has(relativePath)) {
+            return [];
+        }
+
+        if (entry.isDirectory()) {
+            return walk(absolutePath);
+        }
+
+        return SOURCE_EXTENSIONS.has(path.extname(entry.name)) ? [relativePath] : [];
+    });
+}
+
+function writeAsset(relativePath, content) {
+    const target = path.join(ROOT_DIR, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+// Os bindings do wawoff2 e os módulos do capsize são CommonJS: extrai num diretório
+// temporário para poder usar require()
+async function loadTools(toolsDir) {
+    const tools = {};
+
+    for (const [name, tool] of Object.entries(FONT_TOOLS)) {
+        console.log(`[fonts] ${tool.package}@${tool.version}`);
+        const files = await fetchPackage(tool.package, tool.version);
+        const packageDir = path.join(toolsDir, name);
+
+        files.forEach((content, relativePath) => {
+            const target = path.join(packageDir, relativePath);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, content);
+        });
+        tools[name] = packageDir;
+    }
+
+    const { instance } = await WebAssembly.instantiate(fs.readFileSync(path.join(tools.harfbuzz, 'dist/harfbuzz-subset.wasm')), {});
+
+    return {
+        harfbuzz: instance.exports,
+        decompress: require(path.join(tools.woff2, 'decompress.js')),
+        compress: require(path.join(tools.woff2, 'compress.js')),
+        metrics: name => require(path.join(tools.metrics, 'entireMetricsCollection', name, 'index.cjs'))
+    };
+}
+
+// Caracteres de todos os arquivos do site (texto, strings dos scripts, content: do CSS)
+function collectCodepoints() {
+    const codepoints = new Set(Array.from(BASE_CHARACTERS, character => character.codePointAt(0)));
+
+    walk(ROOT_DIR).forEach(relativePath => {
+        for (const character of fs.readFileSync(path.join(ROOT_DIR, relativePath), 'utf8')) {
+            const codepoint = character.codePointAt(0);
+            if (codepoint >= 0x20) codepoints.add(codepoint);
+        }
+    });
+
+    return codepoints;
+}
+
+function parseUnicodeRange(unicodeRange) {
+    return unicodeRange.split(',').map(range => {
+        const [start, end] = range.trim().replace(/^U\+/i, '').split('-').map(value => parseInt(value, 16));
+        return [start, end === undefined ? start : end];
+    });
+}
+
+function formatUnicodeRange(codepoints) {
+    const sorted = Array.from(codepoints).sort((a, b) => a - b);
+    const ranges = [];
+
+    sorted.forEach(codepoint => {
+        const last = ranges[ranges.length - 1];
+        if (last && codepoint === last[1] + 1) {
+            last[1] = codepoint;
+        } else {
+            ranges.push([codepoint, codepoint]);
+        }
+    });
+
+    const hex = value => value.toString(16).toUpperCase().padStart(4, '0');
+    return ranges.map(([start, end]) => start === end ? `U+${hex(start)}` : `U+${hex(start)}-${hex(end)}`).join(',');
+}
+
+// hb-subset com as opções padrão: mantém os eixos variáveis, o kerning e as features de layout
+function subsetFont(harfbuzz, ttf, codepoints) {
+    const fontPointer = harfbuzz.malloc(ttf.length);
+    new Uint8Array(harfbuzz.memory.buffer).set(ttf, fontPointer);
+
+    const blob = harfbuzz.hb_blob_create(fontPointer, ttf.length, 2 /* HB_MEMORY_MODE_WRITABLE */, 0, 0);
+    const face = harfbuzz.hb_face_create(blob, 0);
+    harfbuzz.hb_blob_destroy(blob);
+
+    const input = harfbuzz.hb_subset_input_create_or_fail();
+    const unicodes = harfbuzz.hb_subset_input_unicode_set(input);
+    codepoints.forEach(codepoint => harfbuzz.hb_set_add(unicodes, codepoint));
+
+    const subset = harfbuzz.hb_subset_or_fail(face, input);
+    harfbuzz.hb_subset_input_destroy(input);
+    harfbuzz.hb_face_destroy(face);
+
+    if (!subset) {
+        harfbuzz.free(fontPointer);
+        throw new Error('hb-subset falhou');
+    }
+
+    const result = harfbuzz.hb_face_reference_blob(subset);
+    const offset = harfbuzz.hb_blob_get_data(result, 0);
+    const length = harfbuzz.hb_blob_get_length(result);
+    // memory.buffer muda quando a memória cresce: lê só depois do subset
+    const output = Buffer.from(new Uint8Array(harfbuzz.memory.buffer, offset, length));
+
+    harfbuzz.hb_blob_destroy(result);
+    harfbuzz.hb_face_destroy(subset);
+    harfbuzz.free(fontPointer);
+
+    return output;
+}
+
+async function buildFontFaces(tools, codepoints) {
+    const faces = [];
+
+    for (const font of WEB_FONTS) {
+        console.log(`[fonts] ${font.package}@${font.version}`);
+        const files = await fetchPackage(font.package, font.version);
+
+        for (const style of font.styles) {
+            const css = files.get(style === 'italic' ? 'wght-italic.css' : 'wght.css').toString('utf8');
+            const block = css.match(new RegExp(`/\\* ([\\w-]+-${FONTSOURCE_SUBSET}-wght-${style}) \\*/\\s*@font-face \\{[^}]*\\}`));
+            if (!block) {
+                throw new Error(`${font.package} não tem o subset ${FONTSOURCE_SUBSET} (${style})`);
+            }
+
+            const fileName = block[0].match(/url\(\.\/files\/([^)]+)\)/)[1];
+            const available = parseUnicodeRange(block[0].match(/unicode-range: ([^;]+);/)[1]);
+            const used = Array.from(codepoints).filter(codepoint => available.some(([start, end]) => codepoint >= start && codepoint <= end));
+
+            const original = files.get(`files/${fileName}`);
+            const woff2 = await tools.compress(subsetFont(tools.harfbuzz, await tools.decompress(original), used));
+            writeAsset(`${FONTS_DIR}/${fileName}`, woff2);
+            console.log(`[fonts] ${fileName}: ${used.length} caracteres, ${original.length} -> ${woff2.length} bytes`);
+
+            faces.push({
+                family: font.family,
+                style,
+                fileName,
+                css: block[0]
+                    .replace(/font-family: '[^']+'/, `font-family: '${font.family}'`)
+                    .replace(/\/\* ([\w-]+) \*\//, `/* $1 (${font.package}@${font.version}, ${used.length} caracteres) */`)
+                    .replace('./files/', './')
+                    .replace(/unicode-range: [^;]+;/, `unicode-range: ${formatUnicodeRange(used)};`)
+            });
+        }
+    }
+
+    return faces;
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+// Fonte do sistema escalada para ocupar o mesmo espaço da web font (largura média do texto
+// latino via size-adjust, altura da linha via ascent/descent/line-gap): a troca não move o layout
+function renderFallbackFace(tools, font) {
+    const metrics = tools.metrics(font.metrics);
+    const fallback = tools.metrics(font.fallback);
+    const sizeAdjust = (metrics.xWidthAvg / metrics.unitsPerEm) / (fallback.xWidthAvg / fallback.unitsPerEm);
+    const scaled = value => formatPercent(Math.abs(value) / (metrics.unitsPerEm * sizeAdjust));
+
+    return [
+        `/* ${font.family} Fallback: ${fallback.familyName} com as métricas da ${metrics.familyName} */`,
+        '@font-face {',
+        `  font-family: '${font.family} Fallback';`,
+        `  src: local('${fallback.fullName}'), local('${fallback.postscriptName}');`,
+        `  size-adjust: ${formatPercent(sizeAdjust)};`,
+        `  ascent-override: ${scaled(metrics.ascent)};`,
+        `  descent-override: ${scaled(metrics.descent)};`,
+        `  line-gap-override: ${scaled(metrics.lineGap)};`,
+        '}'
+    ].join('\n');
+}
+
+function writeStylesheet(tools, faces) {
+    const stylesheet = [
+        '/* Gerado por scripts/build-web-fonts.js - não editar manualmente */',
+        ...faces.map(face => face.css),
+        ...WEB_FONTS.map(font => renderFallbackFace(tools, font))
+    ].join('\n\n') + '\n';
+    const relativePath = `fonts/${STYLESHEET}`;
+    const integrity = readIntegrity();
+
+    writeAsset(`${FONTS_DIR}/${STYLESHEET}`, stylesheet);
+    // Sem fallback na CDN: o CSS do Google Fonts muda por navegador e não aceita integrity. Se o
+    // fonts.css falhar, as pilhas de font-family seguem com as fontes do sistema
+    integrity[relativePath] = { integrity: computeIntegrity(stylesheet) };
+    writeIntegrity(integrity);
+    syncPageIntegrity(PAGE_FILES, integrity, 'fonts');
+}
+
+// 'Inter', sans-serif → 'Inter', 'Inter Fallback', sans-serif (em todo font-family do site)
+function addFallbackFamilies(stack) {
+    const separator = /,\s/.test(stack) || !stack.includes(',') ? ', ' : ',';
+
+    return WEB_FONTS.reduce((updated, font) => {
+        if (updated.includes(`${font.family} Fallback`)) return updated;
+        return updated.replace(new RegExp(`(['"])${font.family}\\1`), match => `${match}${separator}'${font.family} Fallback'`);
+    }, stack);
+}
+
+function syncFontStacks() {
+    walk(ROOT_DIR).forEach(relativePath => {
+        const filePath = path.join(ROOT_DIR, relativePath);
+        const original = fs.readFileSync(filePath, 'utf8');
+        const updated = original.replace(/(font-family\s*:\s*)([^;}"\n]+)/g, (declaration, property, stack) => property + addFallbackFamilies(stack));
+
+        if (updated !== original) {
+            fs.writeFileSync(filePath, updated);
+            console.log(`[fonts] font-family atualizado em ${relativePath}`);
+        }
+    });
+}
+
+function startDevServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js')], {
+            env: { ...process.env, PORT: String(PORT) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('[dev]')) resolve(server);
+        });
+        server.on('exit', code => reject(new Error(`dev server encerrou (código ${code})`)));
+    });
+}
+
+// Faces (família + estilo) que cada página de fato carregou, nos dois viewports
+async function measureUsedFaces(browser) {
+    const server = await startDevServer();
+    const used = {};
+
+    try {
+        for (const viewport of Object.values(VIEWPORTS)) {
+            const page = await browser.newPage();
+            await page.setViewport(viewport);
+
+            for (const pageFile of PAGE_FILES.filter(file => fs.existsSync(path.join(ROOT_DIR, file)))) {
+                await page.goto(`http://localhost:${PORT}/${pageFile}`);
+                await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+
+                const loaded = await page.evaluate(`document.fonts.ready.then(() => Array.from(document.fonts)
+                    .filter(face => face.status === 'loaded')
+                    .map(face => face.family.replace(/^["']|["']$/g, '') + '|' + face.style))`);
+
+                used[pageFile] = new Set([...(used[pageFile] || []), ...loaded]);
+            }
+
+            await page.close();
+        }
+    } finally {
+        server.kill();
+    }
+
+    return used;
+}
+
+// data-fonts-preload na tag do optimizer (lido por optimizeWebFonts)
+function syncPreloads(faces, usedFaces) {
+    Object.entries(usedFaces).forEach(([page, used]) => {
+        const filePath = path.join(ROOT_DIR, page);
+        const original = fs.readFileSync(filePath, 'utf8');
+        const depth = page.split('/').length - 1;
+        const preload = faces
+            .filter(face => used.has(`${face.family}|${face.style}`))
+            .map(face => `${'../'.repeat(depth)}${FONTS_DIR}/${face.fileName}`)
+            .join(', ');
+
+        const updated = original.replace(/<script src="(?:\.\.\/)*performance-optimizer\.js"[^>]*>/, tag => {
+            const withoutPreload = tag.replace(/\s+data-fonts-preload="[^"]*"/, '');
+            return preload ? withoutPreload.replace(/>$/, ` data-fonts-preload="${preload}">`) : withoutPreload;
+        });
+
+        if (updated !== original) {
+            fs.writeFileSync(filePath, updated);
+            console.log(`[fonts] ${page}: ${preload || 'nenhuma fonte'}`);
+        }
+    });
+}
+
+async function main() {
+    const toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-font-tools-'));
+
+    try {
+        const tools = await loadTools(toolsDir);
+
+        fs.rmSync(path.join(ROOT_DIR, FONTS_DIR), { recursive: true, force: true });
+
+        const faces = await buildFontFaces(tools, collectCodepoints());
+        writeStylesheet(tools, faces);
+        syncFontStacks();
+
+        const browser = await launchChrome();
+        try {
+            syncPreloads(faces, await measureUsedFaces(browser));
+        } finally {
+            await browser.close();
+        }
+    } finally {
+        fs.rmSync(toolsDir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('[fonts] falhou:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// Dynamic Solutions Local Dev Server
+// Serve o site na raiz (escopo do service worker = '/') e simula os endpoints de submissão
+//
+// Uso: node scripts/dev-server.js [--flaky]
+//   PORT=8080          porta HTTP (padrão 8080)
+//   --flaky            metade das submissões responde 503, para exercitar o outbox
+//
+// Endpoints simulados:
+//   POST /api/leads          leads do about (initiateQualification)
+//   POST /api/assessments    resultados do strategic assessment
+//   GET  /api/submissions    tudo o que foi recebido nesta sessão
+//   /api/rum                 beacons de RUM (ver scripts/rum-collector.js); as páginas servidas
+//                            recebem data-rum-endpoint="/api/rum" na tag do optimizer
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createRumCollector } = require('./rum-collector');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const FLAKY = process.argv.includes('--flaky');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.woff2': 'font/woff2'
+};
+
+const SUBMISSION_ENDPOINTS = new Set(['/api/leads', '/api/assessments']);
+
+// RUM vem desligado no optimizer; aqui ele liga para o coletor local
+const RUM_ENDPOINT = '/api/rum';
+const OPTIMIZER_TAG_PATTERN = /<script\b(?![^>]*data-rum-endpoint)[^>]*\bsrc="[^"]*performance-optimizer\.js"/g;
+
+const rumCollector = createRumCollector();
+
+// Submissões recebidas, indexadas por X-Submission-Id (reenvios não duplicam)
+const submissions = new Map();
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handleSubmission(req, res, pathname) {
+    if (FLAKY && Math.random() < 0.5) {
+        console.log(`[mock] 503 simulado para ${pathname}`);
+        sendJson(res, 503, { status: 'unavailable' });
+        return;
+    }
+
+    const raw = await readBody(req);
+    let payload;
+
+    try {
+        payload = JSON.parse(raw);
+    } catch (error) {
+        sendJson(res, 400, { status: 'invalid-json' });
+        return;
+    }
+
+    const id = req.headers['x-submission-id'] || `anon-${submissions.size + 1}`;
+    const duplicate = submissions.has(id);
+
+    if (!duplicate) {
+        submissions.set(id, { id, endpoint: pathname, receivedAt: new Date().toISOString(), payload });
+    }
+
+    console.log(`[mock] ${pathname} ${duplicate ? '(duplicado) ' : ''}${id}`);
+    console.log(JSON.stringify(payload, null, 2));
+    sendJson(res, 201, { status: 'received', id, duplicate });
+}
+
+function serveStatic(res, pathname) {
+    let decodedPath;
+
+    try {
+        decodedPath = decodeURIComponent(pathname);
+    } catch (error) {
+        // Escape inválido (ex.: /%E0%A4%A) - URIError derrubaria o servidor
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    let filePath = path.join(ROOT_DIR, decodedPath);
+
+    // Não sair da raiz do site (startsWith deixaria passar irmãos como /root/tree-x)
+    const relativePath = path.relative(ROOT_DIR, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'] });
+            res.end('<h1>404</h1>');
+            return;
+        }
+
+        if (path.extname(filePath) === '.html') {
+            content = content.toString('utf8').replace(OPTIMIZER_TAG_PATTERN, tag => `${tag} data-rum-endpoint="${RUM_ENDPOINT}"`);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    let pathname;
+
+    try {
+        // Base fixa: o Host vem do cliente e um valor inválido (ou ausente) não pode derrubar o servidor
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && SUBMISSION_ENDPOINTS.has(pathname)) {
+        handleSubmission(req, res, pathname).catch(error => {
+            console.error('[mock] erro:', error);
+            sendJson(res, 500, { status: 'error' });
+        });
+        return;
+    }
+
+    if (rumCollector.handle(req, res, pathname)) {
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/submissions') {
+        sendJson(res, 200, Array.from(submissions.values()));
+        return;
+    }
+
+    serveStatic(res, pathname);
+});
+
+server.listen(PORT, () => {
+    console.log(`[dev] http://localhost:${PORT}/ ${FLAKY ? '(modo flaky)' : ''}`);
+});
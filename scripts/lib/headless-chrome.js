@@ -0,0 +1,277 @@
+// Dynamic Solutions Headless Chrome
+// Cliente mínimo do Chrome DevTools Protocol para os scripts de build (sem dependências)
+//
+// Requer Node.js 22+ (WebSocket global) ou Node.js 20 com --experimental-websocket.
+//   CHROME_PATH    executável do Chrome/Chromium (padrão: procura nos caminhos comuns)
+//   CHROME_FLAGS   flags extras, separadas por espaço (ex.: "--single-process" em containers)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const CHROME_CANDIDATES = [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+const LAUNCH_TIMEOUT = 30000;
+const NAVIGATION_TIMEOUT = 30000;
+
+function findChrome() {
+    const executable = process.env.CHROME_PATH || CHROME_CANDIDATES.find(candidate => fs.existsSync(candidate));
+    if (!executable) {
+        throw new Error('Chrome não encontrado - defina CHROME_PATH');
+    }
+    return executable;
+}
+
+// Inicia o Chrome headless e devolve um browser conectado via DevTools Protocol
+async function launchChrome() {
+    if (typeof WebSocket === 'undefined') {
+        throw new Error('WebSocket indisponível - use Node.js 22+ ou node --experimental-websocket');
+    }
+
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-chrome-'));
+    const args = [
+        '--headless',
+        '--disable-gpu',
+        '--hide-scrollbars',
+        '--mute-audio',
+        '--no-first-run',
+        '--no-default-browser-check',
+        '--remote-debugging-port=0',
+        `--user-data-dir=${userDataDir}`,
+        // O sandbox do Chrome não inicia como root (CI, containers)
+        ...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []),
+        ...(process.env.CHROME_FLAGS || '').split(' ').filter(Boolean),
+        'about:blank'
+    ];
+
+    const chromeProcess = spawn(findChrome(), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    const endpoint = await waitForDevToolsEndpoint(chromeProcess);
+    const connection = await connect(endpoint);
+
+    return createBrowser(connection, chromeProcess, userDataDir);
+}
+
+function waitForDevToolsEndpoint(chromeProcess) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+
+        const timer = setTimeout(() => {
+            chromeProcess.kill();
+            reject(new Error('Chrome não respondeu a tempo'));
+        }, LAUNCH_TIMEOUT);
+
+        chromeProcess.stderr.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/DevTools listening on (ws:\/\/\S+)/);
+            if (match) {
+                clearTimeout(timer);
+                resolve(match[1]);
+            }
+        });
+
+        chromeProcess.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Chrome encerrou (código ${code})\n${output.slice(-2000)}`));
+        });
+
+        // Executável inexistente (CHROME_PATH errado): sem isso o 'error' derruba o processo
+        chromeProcess.on('error', error => {
+            clearTimeout(timer);
+            reject(new Error(`Falha ao iniciar o Chrome: ${error.message}`));
+        });
+    });
+}
+
+// Conexão CDP: send(method, params, sessionId) e eventos por sessão
+function connect(endpoint) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(endpoint);
+        const pending = new Map();
+        const listeners = new Set();
+        let nextId = 1;
+
+        socket.addEventListener('message', event => {
+            const message = JSON.parse(event.data);
+
+            if (message.id && pending.has(message.id)) {
+                const { resolve: resolveCommand, reject: rejectCommand, method } = pending.get(message.id);
+                pending.delete(message.id);
+
+                if (message.error) {
+                    rejectCommand(new Error(`${method}: ${message.error.message}`));
+                } else {
+                    resolveCommand(message.result);
+                }
+                return;
+            }
+
+            listeners.forEach(listener => listener(message));
+        });
+
+        socket.addEventListener('open', () => resolve({
+            send(method, params = {}, sessionId) {
+                const id = nextId++;
+                socket.send(JSON.stringify({ id, method, params, sessionId }));
+                return new Promise((resolveCommand, rejectCommand) => {
+                    pending.set(id, { resolve: resolveCommand, reject: rejectCommand, method });
+                });
+            },
+            onEvent(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            },
+            close() {
+                socket.close();
+            }
+        }));
+
+        socket.addEventListener('error', () => reject(new Error(`Falha ao conectar em ${endpoint}`)));
+    });
+}
+
+function createBrowser(connection, chromeProcess, userDataDir) {
+    return {
+        async newPage() {
+            const { targetId } = await connection.send('Target.createTarget', { url: 'about:blank' });
+            const { sessionId } = await connection.send('Target.attachToTarget', { targetId, flatten: true });
+
+            await connection.send('Page.enable', {}, sessionId);
+            await connection.send('Runtime.enable', {}, sessionId);
+
+            return createPage(connection, sessionId, targetId);
+        },
+
+        // Browser.close não responde: o socket fecha junto com o processo
+        async close() {
+            const exited = new Promise(resolve => chromeProcess.once('exit', resolve));
+            connection.send('Browser.close').catch(() => {});
+
+            const timer = setTimeout(() => chromeProcess.kill(), 5000);
+            await exited;
+            clearTimeout(timer);
+
+            connection.close();
+            fs.rmSync(userDataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+function createPage(connection, sessionId, targetId) {
+    const send = (method, params) => connection.send(method, params, sessionId);
+    const subscriptions = [];
+
+    function waitForEvent(method, timeout = NAVIGATION_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                reject(new Error(`${method} não ocorreu em ${timeout}ms`));
+            }, timeout);
+
+            const unsubscribe = connection.onEvent(message => {
+                if (message.sessionId === sessionId && message.method === method) {
+                    clearTimeout(timer);
+                    unsubscribe();
+                    resolve(message.params);
+                }
+            });
+        });
+    }
+
+    return {
+        send,
+
+        // { width, height, deviceScaleFactor, mobile }
+        async setViewport({ width, height, deviceScaleFactor = 1, mobile = false }) {
+            await send('Emulation.setDeviceMetricsOverride', { width, height, deviceScaleFactor, mobile });
+        },
+
+        async goto(url) {
+            const loaded = waitForEvent('Page.loadEventFired');
+            const { errorText } = await send('Page.navigate', { url });
+            if (errorText) {
+                throw new Error(`${url}: ${errorText}`);
+            }
+            await loaded;
+        },
+
+        // Responde as URLs de files ({ url: { body, contentType } }) com o conteúdo em memória, sem
+        // pedir ao servidor. O service worker fica de fora: uma página controlada viria do precache
+        async serveFromMemory(files) {
+            await send('Network.enable');
+            await send('Network.setBypassServiceWorker', { bypass: true });
+
+            subscriptions.push(connection.onEvent(message => {
+                if (message.sessionId !== sessionId || message.method !== 'Fetch.requestPaused') return;
+
+                const { requestId, request } = message.params;
+                const file = files[request.url];
+                const reply = file
+                    ? send('Fetch.fulfillRequest', {
+                        requestId,
+                        responseCode: 200,
+                        responseHeaders: [{ name: 'Content-Type', value: file.contentType }],
+                        body: Buffer.from(file.body).toString('base64')
+                    })
+                    : send('Fetch.continueRequest', { requestId });
+                reply.catch(() => {});
+            }));
+
+            await send('Fetch.enable', { patterns: Object.keys(files).map(urlPattern => ({ urlPattern })) });
+        },
+
+        async setContent(html) {
+            const { frameTree } = await send('Page.getFrameTree');
+            const loaded = waitForEvent('Page.loadEventFired');
+            await send('Page.setDocumentContent', { frameId: frameTree.frame.id, html });
+            await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, 1000))]);
+        },
+
+        // Avalia uma expressão (ou função serializada) e devolve o valor por cópia
+        async evaluate(expression) {
+            const source = typeof expression === 'function' ? `(${expression})()` : expression;
+            const { result, exceptionDetails } = await send('Runtime.evaluate', {
+                expression: source,
+                awaitPromise: true,
+                returnByValue: true
+            });
+
+            if (exceptionDetails) {
+                throw new Error(exceptionDetails.exception ? exceptionDetails.exception.description : exceptionDetails.text);
+            }
+            return result.value;
+        },
+
+        // { format: 'png' | 'jpeg' | 'webp', quality, clip, omitBackground } → Buffer
+        async screenshot({ format = 'png', quality, clip, omitBackground = false } = {}) {
+            if (omitBackground) {
+                await send('Emulation.setDefaultBackgroundColorOverride', { color: { r: 0, g: 0, b: 0, a: 0 } });
+            }
+
+            const { data } = await send('Page.captureScreenshot', {
+                format,
+                quality,
+                clip: clip ? { scale: 1, ...clip } : undefined
+            });
+
+            if (omitBackground) {
+                await send('Emulation.setDefaultBackgroundColorOverride', {});
+            }
+            return Buffer.from(data, 'base64');
+        },
+
+        async close() {
+            subscriptions.forEach(unsubscribe => unsubscribe());
+            await connection.send('Target.closeTarget', { targetId });
+        }
+    };
+}
+
+module.exports = { launchChrome };
@@ -0,0 +1,114 @@
+// Dynamic Solutions npm Package Fetcher
+// Baixa tarballs do registry do npm, confere o dist.integrity (sha512) do manifest da versão e
+// extrai em memória (sem dependências)
+
+const crypto = require('crypto');
+const https = require('https');
+const zlib = require('zlib');
+
+const REGISTRY_URL = 'https://registry.npmjs.org';
+
+function download(url) {
+    return new Promise((resolve, reject) => {
+        https.get(url, response => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                resolve(download(new URL(response.headers.location, url).toString()));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`${url} respondeu ${response.statusCode}`));
+                return;
+            }
+
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+// Manifest da versão (GET /<pacote>/<versão>): dist.tarball e dist.integrity
+async function fetchVersionManifest(packageName, version) {
+    const manifest = JSON.parse(await download(`${REGISTRY_URL}/${packageName}/${version}`));
+
+    if (!manifest.dist || !manifest.dist.tarball || !manifest.dist.integrity) {
+        throw new Error(`${packageName}@${version}: manifest sem dist.tarball/dist.integrity`);
+    }
+
+    return manifest;
+}
+
+// dist.integrity é uma lista SRI ("sha512-<base64> ..."); só o sha512 é aceito
+function verifyIntegrity(tgz, integrity, label) {
+    const expected = integrity.split(/\s+/)
+        .filter(hash => hash.startsWith('sha512-'))
+        .map(hash => hash.slice('sha512-'.length));
+
+    if (expected.length === 0) {
+        throw new Error(`${label}: dist.integrity sem sha512 (${integrity})`);
+    }
+
+    const actual = crypto.createHash('sha512').update(tgz).digest('base64');
+    if (!expected.includes(actual)) {
+        throw new Error(`${label}: integridade não confere (esperado sha512-${expected[0]}, recebido sha512-${actual})`);
+    }
+}
+
+// Lê um .tgz do npm e devolve Map<caminho relativo ao pacote, Buffer>. Entradas com caminho
+// absoluto ou segmentos ".." rejeitam o pacote inteiro: quem grava os arquivos pode usar
+// path.join(destino, caminho) sem sair do destino
+function extractTarball(tgz) {
+    const tar = zlib.gunzipSync(tgz);
+    const files = new Map();
+    let offset = 0;
+
+    while (offset + 512 <= tar.length) {
+        const header = tar.subarray(offset, offset + 512);
+        const name = readTarString(header, 0, 100);
+        if (!name) break;
+
+        const prefix = readTarString(header, 345, 155);
+        const size = parseInt(readTarString(header, 124, 12), 8) || 0;
+        const type = String.fromCharCode(header[156]);
+        const fullName = prefix ? `${prefix}/${name}` : name;
+
+        if (type === '0' || type === '\0') {
+            // Pacotes do npm sempre têm um diretório raiz (normalmente "package/")
+            files.set(toPackagePath(fullName), tar.subarray(offset + 512, offset + 512 + size));
+        }
+
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+
+    return files;
+}
+
+function toPackagePath(entryName) {
+    const segments = entryName.split('/').slice(1);
+
+    if (entryName.startsWith('/') || /^[a-zA-Z]:/.test(entryName) || entryName.includes('\\') ||
+        segments.includes('..') || segments.filter(Boolean).length === 0) {
+        throw new Error(`Entrada inválida no tarball: ${entryName}`);
+    }
+
+    return segments.join('/');
+}
+
+function readTarString(buffer, start, length) {
+    const value = buffer.subarray(start, start + length).toString('utf8');
+    return value.replace(/\0.*$/s, '').trim();
+}
+
+async function fetchPackage(packageName, version) {
+    const { dist } = await fetchVersionManifest(packageName, version);
+    const tgz = await download(dist.tarball);
+
+    verifyIntegrity(tgz, dist.integrity, `${packageName}@${version}`);
+    return extractTarball(tgz);
+}
+
+module.exports = { fetchPackage };
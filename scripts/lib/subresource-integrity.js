@@ -0,0 +1,70 @@
+// Dynamic Solutions Subresource Integrity
+// vendor/integrity.json (caminho em vendor/ → { integrity, fallback, fallbackIntegrity }) e a
+// sincronização dos atributos integrity das páginas com ele
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const INTEGRITY_FILE = path.join(ROOT_DIR, 'vendor', 'integrity.json');
+
+function computeIntegrity(content) {
+    return `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+}
+
+function readIntegrity() {
+    return fs.existsSync(INTEGRITY_FILE) ? JSON.parse(fs.readFileSync(INTEGRITY_FILE, 'utf8')) : {};
+}
+
+function writeIntegrity(integrity) {
+    fs.mkdirSync(path.dirname(INTEGRITY_FILE), { recursive: true });
+    fs.writeFileSync(INTEGRITY_FILE, JSON.stringify(integrity, null, 2) + '\n');
+}
+
+// Atualiza integrity (e data-fallback-integrity) em <script>/<link> e em chamadas
+// asyncLoad('../vendor/...', 'sha384-...'[, 'https://cdn...', 'sha384-...'])
+function syncPageIntegrity(pages, integrity, label) {
+    const missing = [];
+
+    pages.forEach(page => {
+        const filePath = path.join(ROOT_DIR, page);
+        if (!fs.existsSync(filePath)) return;
+
+        const original = fs.readFileSync(filePath, 'utf8');
+        const updated = original
+            .replace(/<(script|link)\b[^>]*>/g, tag => {
+                const reference = tag.match(/(?:src|href)="\.\.\/vendor\/([^"]+)"/);
+                if (!reference || !integrity[reference[1]]) return tag;
+
+                if (!/ integrity="[^"]*"/.test(tag)) {
+                    missing.push(`${page}: ${reference[1]}`);
+                    return tag;
+                }
+
+                const entry = integrity[reference[1]];
+                return tag
+                    .replace(/ integrity="[^"]*"/, ` integrity="${entry.integrity}"`)
+                    .replace(/data-fallback-integrity="[^"]*"/, `data-fallback-integrity="${entry.fallbackIntegrity}"`);
+            })
+            .replace(/(['"])\.\.\/vendor\/([^'"]+)\1(\s*,\s*)(['"])sha384-[^'"]*\4(?:(\s*,\s*(['"])[^'"]+\6\s*,\s*)(['"])sha384-[^'"]*\7)?/g,
+                (call, quote, reference, separator, integrityQuote, fallbackSeparator, fallbackQuote, fallbackIntegrityQuote) => {
+                    const entry = integrity[reference];
+                    if (!entry) return call;
+
+                    const local = `${quote}../vendor/${reference}${quote}${separator}${integrityQuote}${entry.integrity}${integrityQuote}`;
+                    return fallbackSeparator
+                        ? `${local}${fallbackSeparator}${fallbackIntegrityQuote}${entry.fallbackIntegrity}${fallbackIntegrityQuote}`
+                        : local;
+                });
+
+        if (updated !== original) {
+            fs.writeFileSync(filePath, updated);
+            console.log(`[${label}] integrity atualizado em ${page}`);
+        }
+    });
+
+    missing.forEach(reference => console.warn(`[${label}] referência sem integrity: ${reference}`));
+}
+
+module.exports = { INTEGRITY_FILE, computeIntegrity, readIntegrity, writeIntegrity, syncPageIntegrity };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Dynamic Solutions RUM Collector
+// Coletor local dos beacons de real-user monitoring enviados pelo performance-optimizer.js
+//
+// Uso: node scripts/rum-collector.js [arquivo.ndjson]
+//   PORT=8787          porta HTTP (padrão 8787)
+//   arquivo.ndjson     opcional: grava cada beacon como uma linha JSON
+//
+// Endpoints:
+//   POST /api/rum            recebe um beacon
+//   GET  /api/rum            beacons recebidos nesta sessão
+//   GET  /api/rum/summary    page views, p75 de cada métrica e elementos mais culpados por página
+//
+// O scripts/dev-server.js usa este coletor em /api/rum (mesma origem do site). Rodando à
+// parte, aponte as páginas para ele com data-rum-endpoint="http://localhost:8787/api/rum".
+
+const http = require('http');
+const fs = require('fs');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BEACON_BYTES = 16 * 1024;
+const TOP_ATTRIBUTION_COUNT = 3;
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Os elementos que mais aparecem na atribuição (ex.: o canvas de partículas como fonte de CLS)
+function countTop(counts) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_ATTRIBUTION_COUNT)
+        .map(([element, views]) => ({ element, views }));
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+
+// Formato do beacon do optimizer (getRumAttribution/sendRumBeacon): o summary confia nele
+function isValidBeacon(beacon) {
+    if (!isPlainObject(beacon) || typeof beacon.page !== 'string') return false;
+
+    const { metrics = {}, attribution = {} } = beacon;
+    if (!isPlainObject(metrics) || !isPlainObject(attribution)) return false;
+    if (!Object.values(metrics).every(Number.isFinite)) return false;
+
+    const { lcp, cls, inp } = attribution;
+    if (lcp !== undefined && !(isPlainObject(lcp) && isOptionalString(lcp.element))) return false;
+    if (cls !== undefined && !(isPlainObject(cls) && Array.isArray(cls.sources) && cls.sources.every(isOptionalString))) return false;
+    if (inp !== undefined && !(isPlainObject(inp) && isOptionalString(inp.target))) return false;
+
+    return true;
+}
+
+function summarize(beacons) {
+    const pages = {};
+
+    beacons.forEach(beacon => {
+        const page = pages[beacon.page] || (pages[beacon.page] = {
+            views: 0,
+            swControlled: 0,
+            metrics: {},
+            attribution: { lcp: {}, cls: {}, inp: {} }
+        });
+        const attribution = beacon.attribution || {};
+
+        page.views++;
+        if (beacon.swControlled) page.swControlled++;
+
+        Object.entries(beacon.metrics || {}).forEach(([name, value]) => {
+            if (Number.isFinite(value)) (page.metrics[name] = page.metrics[name] || []).push(value);
+        });
+
+        const culprits = {
+            lcp: attribution.lcp ? [attribution.lcp.element] : [],
+            cls: attribution.cls && Array.isArray(attribution.cls.sources) ? attribution.cls.sources : [],
+            inp: attribution.inp ? [attribution.inp.target] : []
+        };
+        Object.entries(culprits).forEach(([metric, elements]) => {
+            elements.filter(element => typeof element === 'string' && element).forEach(element => {
+                page.attribution[metric][element] = (page.attribution[metric][element] || 0) + 1;
+            });
+        });
+    });
+
+    return Object.fromEntries(Object.entries(pages).map(([path, page]) => [path, {
+        views: page.views,
+        swControlled: page.swControlled,
+        p75: Object.fromEntries(Object.entries(page.metrics).map(([name, values]) => [name, percentile(values, 0.75)])),
+        topAttribution: {
+            lcp: countTop(page.attribution.lcp),
+            cls: countTop(page.attribution.cls),
+            inp: countTop(page.attribution.inp)
+        }
+    }]));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BEACON_BYTES) {
+                reject(new Error('beacon grande demais'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function formatBeacon(beacon) {
+    const metrics = Object.entries(beacon.metrics || {}).map(([name, value]) => `${name}=${value}`).join(' ');
+    return `${beacon.page} [${beacon.nav}, ${beacon.connection}, ${beacon.device}${beacon.swControlled ? ', sw' : ''}] ${metrics}`;
+}
+
+// handle(req, res, pathname) → true quando a requisição era para o coletor
+function createRumCollector({ logFile } = {}) {
+    const beacons = [];
+
+    async function receive(req, res) {
+        let beacon;
+
+        try {
+            beacon = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, 400, { status: 'invalid-beacon' });
+            return;
+        }
+
+        if (!isValidBeacon(beacon)) {
+            sendJson(res, 400, { status: 'invalid-beacon' });
+            return;
+        }
+
+        beacons.push(beacon);
+        if (logFile) {
+            fs.appendFileSync(logFile, JSON.stringify(beacon) + '\n');
+        }
+
+        console.log(`[rum] ${formatBeacon(beacon)}`);
+        res.writeHead(204);
+        res.end();
+    }
+
+    return {
+        handle(req, res, pathname) {
+            if (req.method === 'POST' && pathname === '/api/rum') {
+                receive(req, res).catch(error => {
+                    console.error('[rum] erro:', error.message);
+                    sendJson(res, 500, { status: 'error' });
+                });
+                return true;
+            }
+
+            if (req.method === 'GET' && pathname === '/api/rum') {
+                sendJson(res, 200, beacons);
+                return true;
+            }
+
+            if (req.method === 'GET' && pathname === '/api/rum/summary') {
+                sendJson(res, 200, summarize(beacons));
+                return true;
+            }
+
+            return false;
+        }
+    };
+}
+
+module.exports = { createRumCollector };
+
+if (require.main === module) {
+    const logFile = process.argv[2];
+    const collector = createRumCollector({ logFile });
+
+    const server = http.createServer((req, res) => {
+        // Beacons chegam de outra origem (o site roda em outra porta)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        let pathname;
+
+        try {
+            // Base fixa: um Host inválido não pode derrubar o coletor
+            ({ pathname } = new URL(req.url, 'http://localhost'));
+        } catch (error) {
+            sendJson(res, 400, { status: 'invalid-url' });
+            return;
+        }
+
+        if (!collector.handle(req, res, pathname)) {
+            sendJson(res, 404, { status: 'not-found' });
+        }
+    });
+
+    server.listen(PORT, () => {
+        console.log(`[rum] http://localhost:${PORT}/api/rum ${logFile ? `-> ${logFile}` : ''}`);
+    });
+}
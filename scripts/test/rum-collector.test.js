@@ -0,0 +1,59 @@
+// Testes do scripts/rum-collector.js (node --test scripts/test/*.test.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createRumCollector } = require('../rum-collector');
+
+// Coletor num servidor em porta livre, como o dev-server o monta em /api/rum
+async function startCollector() {
+    const collector = createRumCollector();
+    const server = http.createServer((req, res) => {
+        if (!collector.handle(req, res, new URL(req.url, 'http://localhost').pathname)) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/rum`;
+
+    return {
+        post: beacon => fetch(baseUrl, { method: 'POST', body: JSON.stringify(beacon) }),
+        summary: () => fetch(`${baseUrl}/summary`),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('beacons fora do formato são recusados e o summary continua respondendo', async () => {
+    const collector = await startCollector();
+
+    try {
+        const invalid = [
+            { page: '/about/', attribution: { cls: {} } },
+            { page: '/about/', attribution: { cls: { sources: 'canvas' } } },
+            { page: '/about/', attribution: { lcp: 'img' } },
+            { page: '/about/', metrics: { lcp: 'lento' } },
+            { page: '/about/', metrics: [] },
+            { page: 42 }
+        ];
+        for (const beacon of invalid) {
+            assert.strictEqual((await collector.post(beacon)).status, 400, JSON.stringify(beacon));
+        }
+
+        const valid = await collector.post({
+            page: '/about/',
+            metrics: { lcp: 1800, cls: 0.05 },
+            attribution: { lcp: { element: 'img.logo', url: null }, cls: { sources: ['canvas#particles'] } }
+        });
+        assert.strictEqual(valid.status, 204);
+
+        const response = await collector.summary();
+        assert.strictEqual(response.status, 200);
+        const summary = await response.json();
+        assert.deepStrictEqual(Object.keys(summary), ['/about/']);
+        assert.deepStrictEqual(summary['/about/'].topAttribution.cls, [{ element: 'canvas#particles', views: 1 }]);
+    } finally {
+        await collector.close();
+    }
+});
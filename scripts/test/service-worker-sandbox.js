@@ -0,0 +1,137 @@
+// Dynamic Solutions Service Worker Sandbox
+// Executa o sw.js num contexto vm com Cache Storage em memória e fetch/clients controlados pelo
+// teste (Request, Response e Headers são os do Node). Não há IndexedDB: as funções que dependem
+// dele falham como num navegador sem o banco, e os testes substituem as que precisam (as funções
+// de topo do sw.js são propriedades do contexto).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost:8080';
+const CRITICAL_CACHE = 'dynamic-solutions-critical';
+
+// URLs relativas resolvem contra a origem do worker, como no navegador
+class WorkerRequest extends Request {
+    constructor(input, init) {
+        super(typeof input === 'string' ? new URL(input, ORIGIN).href : input, init);
+    }
+}
+
+// Cache com a mesma semântica de put/match do Cache Storage: put consome o corpo e cada
+// match devolve uma cópia nova
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    toKey(request) {
+        return new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+    }
+
+    async match(request) {
+        const response = this.entries.get(this.toKey(request));
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(this.toKey(request), new Response(await response.arrayBuffer(), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        }));
+    }
+
+    async delete(request) {
+        return this.entries.delete(this.toKey(request));
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys(), url => new Request(url));
+    }
+}
+
+// Compartilhável entre dois sandboxes, como o Cache Storage entre versões do worker
+function createCacheStorage() {
+    const caches = new Map();
+
+    return {
+        async open(name) {
+            if (!caches.has(name)) caches.set(name, new MemoryCache());
+            return caches.get(name);
+        },
+        async keys() {
+            return Array.from(caches.keys());
+        },
+        async delete(name) {
+            return caches.delete(name);
+        },
+        async match(request, { cacheName } = {}) {
+            const names = cacheName ? [cacheName] : Array.from(caches.keys());
+
+            for (const name of names) {
+                const response = caches.has(name) && await caches.get(name).match(request);
+                if (response) return response;
+            }
+
+            return undefined;
+        }
+    };
+}
+
+// manifest: substitui o precache-manifest.js do disco ([{ url, revision }])
+// fetch: (request) => Promise<Response>; pode ser trocado depois em sw.fetch
+function loadServiceWorker({ manifest, caches = createCacheStorage(), fetch } = {}) {
+    const messages = [];
+    const listeners = {};
+
+    const client = {
+        url: `${ORIGIN}/about/index.html`,
+        postMessage: message => messages.push(message)
+    };
+
+    const sw = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        URL,
+        Request: WorkerRequest,
+        Response,
+        Headers,
+        Blob,
+        TransformStream,
+        setTimeout,
+        clearTimeout,
+        crypto: webcrypto,
+        caches,
+        fetch: fetch || (() => Promise.reject(new TypeError('Failed to fetch'))),
+        location: new URL(`${ORIGIN}/sw.js`),
+        registration: { sync: { register: async () => {} }, navigationPreload: null },
+        clients: { matchAll: async () => [client], claim: async () => {} },
+        skipWaiting: () => {},
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        }
+    });
+
+    sw.self = sw;
+    sw.importScripts = (...urls) => urls.forEach(url => {
+        if (url === '/precache-manifest.js' && manifest) {
+            sw.__PRECACHE_MANIFEST = manifest;
+            return;
+        }
+
+        vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, url), 'utf8'), sw, { filename: url });
+    });
+
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'sw.js'), 'utf8'), sw, { filename: 'sw.js' });
+
+    return { sw, caches, messages, listeners };
+}
+
+// Deixa rodar as promises que o worker dispara sem aguardar (notificações, waitUntil)
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { ORIGIN, CRITICAL_CACHE, createCacheStorage, loadServiceWorker, flushPromises };
@@ -0,0 +1,329 @@
+// Testes do sw.js (node --test scripts/test/*.test.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ORIGIN, CRITICAL_CACHE, loadServiceWorker, flushPromises } = require('./service-worker-sandbox');
+
+// Outbox em memória no lugar do IndexedDB
+function useMemoryOutbox(sw) {
+    const outbox = new Map();
+    let nextId = 1;
+
+    sw.addToOutbox = async entry => {
+        const id = nextId++;
+        outbox.set(id, { ...entry, id });
+        return id;
+    };
+    sw.getOutboxEntries = async () => Array.from(outbox.values(), entry => ({ ...entry }));
+    sw.updateOutboxEntry = async entry => {
+        outbox.set(entry.id, { ...entry });
+    };
+    sw.removeOutboxEntry = async id => {
+        outbox.delete(id);
+    };
+
+    return outbox;
+}
+
+// Primeira tentativa sem resposta (timeout), depois 503 e enfim 201
+function createFlakyEndpoint() {
+    const submissionIds = [];
+    const responses = [null, 503, 201];
+
+    const fetch = async request => {
+        submissionIds.push(request.headers.get('X-Submission-Id'));
+        const status = responses.shift();
+        return status ? new Response('{}', { status }) : new Promise(() => {});
+    };
+
+    return { fetch, submissionIds };
+}
+
+function createSubmission(headers = {}) {
+    return new Request(`${ORIGIN}/api/leads`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ source: 'about' })
+    });
+}
+
+test('outbox reenvia com o X-Submission-Id da primeira tentativa', async () => {
+    const endpoint = createFlakyEndpoint();
+    const { sw, messages } = loadServiceWorker({ fetch: endpoint.fetch });
+    const outbox = useMemoryOutbox(sw);
+
+    const response = await sw.handleOutboxSubmission(createSubmission({ 'X-Submission-Id': 'lead-1' }), { timeout: 10 });
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual((await response.json()).submissionId, 'lead-1');
+
+    await assert.rejects(sw.replayOutbox());
+    await sw.replayOutbox();
+    await flushPromises();
+
+    assert.deepStrictEqual(endpoint.submissionIds, ['lead-1', 'lead-1', 'lead-1']);
+    assert.strictEqual(outbox.size, 0);
+    assert.deepStrictEqual(
+        messages.map(message => [message.type, message.status, message.submissionId]),
+        [['OUTBOX_STATUS', 'queued', 'lead-1'], ['OUTBOX_STATUS', 'sent', 'lead-1']]
+    );
+});
+
+test('outbox gera um X-Submission-Id estável quando a página não envia', async () => {
+    const endpoint = createFlakyEndpoint();
+    const { sw, messages } = loadServiceWorker({ fetch: endpoint.fetch });
+    useMemoryOutbox(sw);
+
+    const response = await sw.handleOutboxSubmission(createSubmission(), { timeout: 10 });
+    const { submissionId } = await response.json();
+
+    await assert.rejects(sw.replayOutbox());
+    await sw.replayOutbox();
+    await flushPromises();
+
+    assert.ok(submissionId);
+    assert.deepStrictEqual(endpoint.submissionIds, [submissionId, submissionId, submissionId]);
+    assert.ok(messages.every(message => message.submissionId === submissionId));
+});
+
+// Servidor estático: o corpo identifica a URL e a versão do deploy
+function createStaticServer(version) {
+    const requested = [];
+
+    const fetch = async request => {
+        const { pathname } = new URL(request.url);
+        requested.push(pathname);
+        return new Response(`${pathname} ${version.current}`, { headers: { 'Content-Type': 'text/css' } });
+    };
+
+    return { fetch, requested };
+}
+
+test('revalidação do precache mantém a revisão: cleanupPrecache remove e o install não rebaixa', async () => {
+    const version = { current: 'v1' };
+    const server = createStaticServer(version);
+    const { sw, caches } = loadServiceWorker({
+        fetch: server.fetch,
+        manifest: [
+            { url: '/about/styles.css', revision: 'about-1' },
+            { url: '/home/styles.css', revision: 'home-1' }
+        ]
+    });
+
+    await sw.precacheFromManifest();
+    const cache = await caches.open(CRITICAL_CACHE);
+
+    // Novo deploy: cacheFirst serve o cache e revalida em background
+    version.current = 'v2';
+    for (const url of ['/about/styles.css', '/home/styles.css']) {
+        await sw.updateCacheInBackground(new Request(`${ORIGIN}${url}`), cache, url);
+    }
+
+    const revalidated = await cache.match('/about/styles.css');
+    assert.strictEqual(await revalidated.text(), '/about/styles.css v2');
+    assert.strictEqual(revalidated.headers.get('X-Precache-Revision'), 'about-1');
+
+    // Próxima versão do worker: about saiu do manifest, home não mudou
+    server.requested.length = 0;
+    const next = loadServiceWorker({
+        fetch: server.fetch,
+        caches,
+        manifest: [{ url: '/home/styles.css', revision: 'home-1' }]
+    });
+
+    await next.sw.precacheFromManifest();
+    await next.sw.cleanupPrecache();
+
+    assert.deepStrictEqual(server.requested, []);
+    assert.strictEqual(await cache.match('/about/styles.css'), undefined);
+    assert.ok(await cache.match('/home/styles.css'));
+});
+
+test('staleWhileRevalidate no cache do precache mantém a revisão para o cleanupPrecache', async () => {
+    const version = { current: 'v1' };
+    const server = createStaticServer(version);
+    const { sw, caches } = loadServiceWorker({
+        fetch: server.fetch,
+        manifest: [{ url: '/about/styles.css', revision: 'about-1' }]
+    });
+
+    await sw.precacheFromManifest();
+
+    version.current = 'v2';
+    const route = { cacheName: CRITICAL_CACHE, cacheKey: '/about/styles.css', strategy: 'critical', timeout: 100 };
+    const stale = await sw.staleWhileRevalidateStrategy(new Request(`${ORIGIN}/about/styles.css`), route);
+    assert.strictEqual(await stale.text(), '/about/styles.css v1');
+
+    await flushPromises();
+    const cache = await caches.open(CRITICAL_CACHE);
+    const revalidated = await cache.match('/about/styles.css');
+    assert.strictEqual(await revalidated.text(), '/about/styles.css v2');
+    assert.strictEqual(revalidated.headers.get('X-Precache-Revision'), 'about-1');
+
+    const next = loadServiceWorker({ fetch: server.fetch, caches, manifest: [] });
+    await next.sw.cleanupPrecache();
+    assert.deepStrictEqual(await cache.keys(), []);
+});
+
+test('prefetch e prerender (Sec-Purpose) não contam como transição para as previsões', async () => {
+    const { sw } = loadServiceWorker();
+    const transitions = [];
+    sw.withStore = async (storeName, mode, callback) => callback({
+        get: key => {
+            const getRequest = { result: undefined };
+            setImmediate(() => getRequest.onsuccess());
+            transitions.push([...key]);
+            return getRequest;
+        },
+        put() {}
+    });
+
+    const url = new URL(`${ORIGIN}/about/index.html`);
+    const navigation = headers => new Request(url.href, { referrer: `${ORIGIN}/home/index.html`, headers });
+
+    await sw.recordTransition(navigation({ 'Sec-Purpose': 'prefetch' }), url);
+    await sw.recordTransition(navigation({ 'Sec-Purpose': 'prefetch;prerender' }), url);
+    await sw.recordTransition(navigation(), url);
+
+    assert.deepStrictEqual(transitions, [['/home/index.html', '/about/index.html']]);
+});
+
+test('mensagens GET_* sem porta e avisos do outbox sem IndexedDB não rejeitam', async () => {
+    const { sw, listeners } = loadServiceWorker();
+    const pending = [];
+    const message = (type, ports = []) => listeners.message({
+        data: { type },
+        ports,
+        waitUntil: promise => pending.push(promise)
+    });
+
+    for (const type of ['GET_PREDICTIONS', 'GET_CACHE_STATS', 'GET_OFFLINE_ROUTES']) {
+        assert.doesNotThrow(() => message(type));
+    }
+
+    const replies = [];
+    message('GET_OFFLINE_ROUTES', [{ postMessage: reply => replies.push(reply) }]);
+    await Promise.all(pending);
+    assert.deepStrictEqual(replies.map(reply => reply.type), ['OFFLINE_ROUTES']);
+
+    await assert.doesNotReject(sw.notifyOutboxStatus({ id: 1, submissionId: 'lead-1', status: 'sent' }));
+});
+
+function createNavigationEvent(url) {
+    const pending = [];
+    const event = {
+        request: new Request(`${ORIGIN}${url}`),
+        preloadResponse: Promise.resolve(undefined),
+        waitUntil: promise => pending.push(promise)
+    };
+
+    return { event, settled: () => Promise.all(pending) };
+}
+
+test('navegação precacheada transmite com status e headers da origem; não ok passa sem stream', async () => {
+    const { sw, caches } = loadServiceWorker({
+        manifest: [{ url: '/about/index.html', revision: 'about-1' }],
+        fetch: async () => new Response('perdida', { status: 404, statusText: 'Not Found', headers: { 'X-Origin': 'network' } })
+    });
+    const cache = await caches.open(CRITICAL_CACHE);
+    await cache.put('/about/index.html', new Response('<h1>about</h1>', {
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Content-Language': 'pt-BR' }
+    }));
+    const route = { cacheName: CRITICAL_CACHE, cacheKey: '/about/index.html', strategy: 'critical', timeout: 100 };
+
+    const cached = createNavigationEvent('/about/index.html');
+    const streamed = await sw.streamPrecachedNavigation(cached.event, route);
+    assert.strictEqual(streamed.status, 200);
+    assert.strictEqual(streamed.headers.get('Content-Language'), 'pt-BR');
+    assert.strictEqual(await streamed.text(), '<h1>about</h1>');
+    await cached.settled();
+
+    const missing = createNavigationEvent('/about/sumiu.html');
+    const notFound = await sw.streamPrecachedNavigation(missing.event, { ...route, cacheKey: '/about/sumiu.html' });
+    assert.strictEqual(notFound.status, 404);
+    assert.strictEqual(notFound.statusText, 'Not Found');
+    assert.strictEqual(notFound.headers.get('X-Origin'), 'network');
+    await missing.settled();
+});
+
+test('cacheFirst e staleWhileRevalidate só gravam respostas ok; falha no put não rejeita', async () => {
+    const { sw, caches } = loadServiceWorker({
+        manifest: [{ url: '/about/styles.css', revision: 'about-1' }],
+        fetch: async () => new Response('erro', { status: 500 })
+    });
+    const route = { cacheName: CRITICAL_CACHE, cacheKey: '/about/styles.css', strategy: 'critical', timeout: 100 };
+    const request = new Request(`${ORIGIN}/about/styles.css`);
+
+    assert.strictEqual((await sw.cacheFirstStrategy(request, route)).status, 500);
+    assert.strictEqual((await sw.staleWhileRevalidateStrategy(request, route)).status, 500);
+    await flushPromises();
+
+    const cache = await caches.open(CRITICAL_CACHE);
+    assert.strictEqual(await cache.match('/about/styles.css'), undefined);
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    sw.fetch = async () => new Response('ok');
+    cache.put = async () => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    };
+    assert.strictEqual(await (await sw.cacheFirstStrategy(request, route)).text(), 'ok');
+    await flushPromises();
+    await flushPromises();
+
+    process.off('unhandledRejection', onUnhandled);
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test('variante responsiva offline e fora do cache cai no logo original do precache', async () => {
+    const { sw, caches } = loadServiceWorker({
+        manifest: [{ url: '/image/Logo%20oficial.png', revision: 'logo-1' }]
+    });
+    const cache = await caches.open(CRITICAL_CACHE);
+    await cache.put('/image/Logo%20oficial.png', new Response('logo original', { headers: { 'Content-Type': 'image/png' } }));
+
+    const variant = new Request(`${ORIGIN}/image/responsive/logo-oficial-256.webp`);
+    Object.defineProperty(variant, 'destination', { value: 'image' });
+
+    const route = sw.findRoute(variant, new URL(variant.url));
+    assert.strictEqual(route.name, 'responsive-images');
+
+    const response = await sw.handleRequest(variant, {}, route);
+    assert.strictEqual(await response.text(), 'logo original');
+    assert.strictEqual(response.headers.get('Content-Type'), 'image/png');
+});
+
+test('prefetch preditivo baixa da página precacheada só a variante do <picture> que o aparelho pediria', async () => {
+    const fetched = [];
+    const { sw, caches } = loadServiceWorker({
+        manifest: [{ url: '/about/index.html', revision: 'about-1' }, { url: '/about/styles.css', revision: 'styles-1' }],
+        fetch: async request => {
+            fetched.push(new URL(request.url).pathname);
+            return new Response('x'.repeat(1000));
+        }
+    });
+    const cache = await caches.open(CRITICAL_CACHE);
+    await cache.put('/about/styles.css', new Response('css'));
+    await cache.put('/about/index.html', new Response(`
+        <link rel="stylesheet" href="styles.css">
+        <picture data-responsive-image="image/Logo oficial.png">
+            <source type="image/avif" data-srcset="../image/responsive/logo-128.avif 128w, ../image/responsive/logo-512.avif 512w" sizes="(max-width: 768px) 180px, 420px">
+            <source type="image/webp" data-srcset="../image/responsive/logo-128.webp 128w, ../image/responsive/logo-512.webp 512w" sizes="(max-width: 768px) 180px, 420px">
+            <img src="data:image/webp;base64,AAAA" data-src="../image/responsive/logo-512.png" data-srcset="../image/responsive/logo-128.png 128w, ../image/responsive/logo-512.png 512w" sizes="(max-width: 768px) 180px, 420px">
+        </picture>
+        <script src="../vendor/extra.js" defer></script>`));
+
+    await sw.prefetchRoutes(['/about/index.html'], 10 * 1024, { viewportWidth: 412, devicePixelRatio: 1, imageTypes: ['image/webp'] });
+    assert.deepStrictEqual(fetched, ['/image/responsive/logo-512.webp', '/vendor/extra.js']);
+
+    const staticCache = await caches.open('dynamic-solutions-static');
+    assert.ok(await staticCache.match(`${ORIGIN}/image/responsive/logo-512.webp`));
+
+    // Já em cache ou além do orçamento: nada mais é baixado
+    fetched.length = 0;
+    await sw.prefetchRoutes(['/about/index.html'], 10 * 1024, { viewportWidth: 412, devicePixelRatio: 1, imageTypes: ['image/webp'] });
+    await sw.prefetchRoutes(['/about/index.html'], 500, { viewportWidth: 1280, devicePixelRatio: 2, imageTypes: ['image/avif', 'image/webp'] });
+    assert.deepStrictEqual(fetched, ['/image/responsive/logo-512.avif']);
+    assert.strictEqual(await staticCache.match(`${ORIGIN}/image/responsive/logo-512.avif`), undefined);
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Dynamic Solutions Vendor Mirror
+// Baixa as bibliotecas de terceiros do registry do npm para vendor/, calcula os hashes
+// de Subresource Integrity e sincroniza os atributos integrity das páginas.
+//
+// Uso: node scripts/vendor-libraries.js
+// Depois rode scripts/build-precache-manifest.js - os arquivos de vendor/ entram no precache.
+// As fontes (vendor/fonts/) são geradas à parte por scripts/build-web-fonts.js.
+//
+// As páginas referenciam as cópias locais (../vendor/...) com integrity; a URL da CDN
+// fica apenas como fallback quando a cópia local falha (onerror), também com integrity.
+
+const fs = require('fs');
+const path = require('path');
+const { fetchPackage } = require('./lib/npm-package');
+const { INTEGRITY_FILE, computeIntegrity, readIntegrity, writeIntegrity, syncPageIntegrity } = require('./lib/subresource-integrity');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT_DIR, 'vendor');
+
+// Bibliotecas espelhadas: arquivo do pacote → destino em vendor/<name>/<version>/
+// fallback: destino → { url, file }. url é uma CDN que espelha o npm (jsDelivr, unpkg) servindo
+// o arquivo file do mesmo pacote, então o hash dela sai do tarball já conferido
+const VENDOR_LIBRARIES = [
+    {
+        name: 'chart.js',
+        package: 'chart.js',
+        version: '4.4.0',
+        files: { 'dist/chart.umd.js': 'chart.umd.js' },
+        fallback: { 'chart.umd.js': { url: 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js', file: 'dist/chart.umd.js' } }
+    },
+    {
+        name: 'particles.js',
+        package: 'particles.js',
+        version: '2.0.0',
+        files: { 'particles.js': 'particles.js' },
+        fallback: { 'particles.js': { url: 'https://cdn.jsdelivr.net/npm/particles.js@2.0.0/particles.js', file: 'particles.js' } }
+    },
+    {
+        name: 'aos',
+        package: 'aos',
+        version: '2.3.1',
+        files: { 'dist/aos.js': 'aos.js' },
+        fallback: { 'aos.js': { url: 'https://unpkg.com/aos@2.3.1/dist/aos.js', file: 'dist/aos.js' } }
+    },
+    {
+        name: 'canvas-confetti',
+        package: 'canvas-confetti',
+        version: '1.5.1',
+        files: { 'dist/confetti.browser.js': 'confetti.browser.js' },
+        fallback: { 'confetti.browser.js': { url: 'https://cdn.jsdelivr.net/npm/canvas-confetti@1.5.1/dist/confetti.browser.js', file: 'dist/confetti.browser.js' } }
+    },
+    {
+        // Só woff2: os .ttf do CSS nunca são pedidos por navegadores com suporte a woff2
+        name: 'font-awesome',
+        package: '@fortawesome/fontawesome-free',
+        version: '6.4.0',
+        files: {
+            'css/all.min.css': 'css/all.min.css',
+            'webfonts/fa-brands-400.woff2': 'webfonts/fa-brands-400.woff2',
+            'webfonts/fa-regular-400.woff2': 'webfonts/fa-regular-400.woff2',
+            'webfonts/fa-solid-900.woff2': 'webfonts/fa-solid-900.woff2',
+            'webfonts/fa-v4compatibility.woff2': 'webfonts/fa-v4compatibility.woff2'
+        },
+        fallback: { 'css/all.min.css': { url: 'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css', file: 'css/all.min.css' } }
+    }
+];
+
+// Páginas cujos atributos integrity são sincronizados
+const PAGE_FILES = [
+    'index.html',
+    'home/index.html',
+    'about/index.html',
+    'capabilities/index.html',
+    'analytics-dashboard/index.html',
+    'assessment/index.html',
+    'strategic-assessment/index.html',
+    'strategic-assessment-new/index.html'
+];
+
+function writeVendorFile(relativePath, content) {
+    const target = path.join(VENDOR_DIR, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+async function vendorLibrary(library, integrity) {
+    console.log(`[vendor] ${library.package}@${library.version}`);
+    const files = await fetchPackage(library.package, library.version);
+
+    const readFile = source => {
+        const content = files.get(source);
+        if (!content) {
+            throw new Error(`${library.package}@${library.version} não contém ${source}`);
+        }
+        return content;
+    };
+
+    Object.entries(library.files).forEach(([source, target]) => {
+        const content = readFile(source);
+        const relativePath = `${library.name}/${library.version}/${target}`;
+        writeVendorFile(relativePath, content);
+
+        const fallback = library.fallback[target];
+        if (fallback) {
+            integrity[relativePath] = {
+                integrity: computeIntegrity(content),
+                fallback: fallback.url,
+                fallbackIntegrity: computeIntegrity(readFile(fallback.file))
+            };
+        }
+    });
+}
+
+async function main() {
+    const integrity = {};
+    const libraryNames = new Set(VENDOR_LIBRARIES.map(library => library.name));
+
+    for (const library of VENDOR_LIBRARIES) {
+        fs.rmSync(path.join(VENDOR_DIR, library.name), { recursive: true, force: true });
+        await vendorLibrary(library, integrity);
+    }
+
+    // Mantém as entradas de outros scripts (fonts/, de scripts/build-web-fonts.js)
+    Object.entries(readIntegrity()).forEach(([relativePath, entry]) => {
+        if (!libraryNames.has(relativePath.split('/')[0])) {
+            integrity[relativePath] = entry;
+        }
+    });
+
+    writeIntegrity(integrity);
+    syncPageIntegrity(PAGE_FILES, integrity, 'vendor');
+
+    console.log(`[vendor] ${Object.keys(integrity).length} entradas -> ${path.relative(ROOT_DIR, INTEGRITY_FILE)}`);
+}
+
+main().catch(error => {
+    console.error('[vendor] falhou:', error.message);
+    process.exitCode = 1;
+});
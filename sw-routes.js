@@ -0,0 +1,114 @@
+// Dynamic Solutions Service Worker Route Table
+// Tabela declarativa lida pelo sw.js: padrão → estratégia, cache, timeout e expiração.
+//
+// As rotas são avaliadas em ordem e a primeira que casar vence. Para uma nova página,
+// CDN ou API basta adicionar uma entrada aqui - as funções de estratégia não mudam.
+//
+// match (todos os campos são opcionais e combinados com E):
+//   method       método HTTP (padrão 'GET')
+//   origin       'self', 'cross-origin' ou lista de origens com glob ('https://*.jsdelivr.net')
+//   path         glob de pathname: '*' = um segmento, '**' = qualquer sequência ('/api/**')
+//   destination  lista de request.destination ('script', 'style', 'image', 'font', ...)
+//   mode         request.mode ('navigate' para navegações)
+//   precached    true = URL presente no precache-manifest.js
+//
+// strategy:
+//   streamPrecached       navegação precacheada, HTML transmitido do cache (navigation preload)
+//   cacheFirst            cache, depois network; revalida em background
+//   staleWhileRevalidate  cache imediato + atualização em background
+//   networkFirst          network com timeout, cache como fallback
+//   outbox                POST com reenvio offline via Background Sync
+//   bypass                o service worker não intercepta (só method/origin/path: nem recebe
+//                         o fetch event, via Static Routing API onde houver)
+//
+// cacheName: cache lógico ('critical' é o precache; outros nomes criam caches novos)
+// stats: bucket de telemetria para GET_CACHE_STATS
+// networkTimeoutSeconds: limite antes de cair para o cache/outbox
+// expiration: { maxEntries, maxAgeSeconds } do cache (rotas no mesmo cache somam o mais restritivo)
+// offlineFallback: arquivo do precache servido quando nem a rede nem o cache têm a resposta
+
+const DAY_IN_SECONDS = 24 * 60 * 60;
+
+self.__SW_ROUTES = [
+    {
+        name: 'analytics',
+        match: { origin: ['https://*.google-analytics.com', 'https://www.googletagmanager.com'] },
+        strategy: 'bypass'
+    },
+    {
+        // Beacons de RUM: nunca pelo outbox (reenvios tardios distorceriam os dados)
+        name: 'rum',
+        match: { method: 'POST', origin: 'self', path: '/api/rum' },
+        strategy: 'bypass'
+    },
+    {
+        name: 'submissions',
+        match: { method: 'POST', origin: 'self', path: '/api/**' },
+        strategy: 'outbox',
+        networkTimeoutSeconds: 3
+    },
+    {
+        name: 'precached-pages',
+        match: { mode: 'navigate', precached: true, path: '**/*.html' },
+        strategy: 'streamPrecached',
+        cacheName: 'critical',
+        stats: 'critical',
+        networkTimeoutSeconds: 3
+    },
+    {
+        name: 'pages',
+        match: { mode: 'navigate' },
+        strategy: 'networkFirst',
+        cacheName: 'dynamic',
+        stats: 'dynamic',
+        networkTimeoutSeconds: 3,
+        expiration: { maxEntries: 40, maxAgeSeconds: 7 * DAY_IN_SECONDS }
+    },
+    {
+        name: 'precached-assets',
+        match: { precached: true },
+        strategy: 'cacheFirst',
+        cacheName: 'critical',
+        stats: 'critical',
+        networkTimeoutSeconds: 5
+    },
+    {
+        // Variantes do build de imagens: fora do precache, cada aparelho cacheia a que pediu.
+        // Offline e sem ela no cache, o logo original (precacheado) ocupa o lugar
+        name: 'responsive-images',
+        match: { origin: 'self', path: '/image/responsive/**', destination: ['image'] },
+        strategy: 'staleWhileRevalidate',
+        cacheName: 'static',
+        stats: 'static',
+        networkTimeoutSeconds: 5,
+        expiration: { maxEntries: 60, maxAgeSeconds: 30 * DAY_IN_SECONDS },
+        offlineFallback: '/image/Logo%20oficial.png'
+    },
+    {
+        name: 'static-assets',
+        match: { destination: ['style', 'script', 'image'] },
+        strategy: 'staleWhileRevalidate',
+        cacheName: 'static',
+        stats: 'static',
+        networkTimeoutSeconds: 5,
+        expiration: { maxEntries: 60, maxAgeSeconds: 30 * DAY_IN_SECONDS }
+    },
+    {
+        name: 'external',
+        match: { origin: 'cross-origin' },
+        strategy: 'networkFirst',
+        cacheName: 'dynamic',
+        stats: 'external',
+        networkTimeoutSeconds: 3,
+        expiration: { maxEntries: 40, maxAgeSeconds: 7 * DAY_IN_SECONDS }
+    },
+    {
+        name: 'default',
+        match: {},
+        strategy: 'networkFirst',
+        cacheName: 'dynamic',
+        stats: 'dynamic',
+        networkTimeoutSeconds: 3,
+        expiration: { maxEntries: 40, maxAgeSeconds: 7 * DAY_IN_SECONDS }
+    }
+];
@@ -1,61 +1,94 @@
 // Dynamic Solutions Ultra Performance Service Worker
 // Arquitectura de cache inteligente para sites de alta performance
 
-const CACHE_VERSION = 'v1.2024';
-const STATIC_CACHE = `static-${CACHE_VERSION}`;
-const DYNAMIC_CACHE = `dynamic-${CACHE_VERSION}`;
-const CRITICAL_CACHE = `critical-${CACHE_VERSION}`;
-
-// Cache strategies por tipo de recurso
-const CACHE_STRATEGIES = {
-    // Recursos críticos - cache primeiro, network fallback
-    critical: [
-        '/',
-        '/index.html',
-        '/home/index.html',
-        '/about/index.html',
-        '/assessment/index.html',
-        '/strategic-assessment-new/index.html',
-        '/capabilities/index.html',
-        '/analytics-dashboard/index.html'
-    ],
-    // Recursos estáticos - cache with network update
-    static: [
-        '/about/neural-sales-system.html'
-    ],
-    // Recursos externos - stale while revalidate
-    external: [
-        'https://fonts.googleapis.com',
-        'https://fonts.gstatic.com',
-        'https://cdnjs.cloudflare.com'
-    ]
-};
+// Manifest gerado por scripts/build-precache-manifest.js (url + hash de conteúdo)
+// e tabela declarativa de rotas (padrão → estratégia, cache, timeout, expiração)
+importScripts('/precache-manifest.js', '/sw-routes.js');
+
+const CACHE_PREFIX = 'dynamic-solutions';
+const STATIC_CACHE = `${CACHE_PREFIX}-static`;
+const DYNAMIC_CACHE = `${CACHE_PREFIX}-dynamic`;
+const CRITICAL_CACHE = `${CACHE_PREFIX}-critical`;
+
+// Rotas compiladas a partir de sw-routes.js
+const ROUTES = (self.__SW_ROUTES || []).map(compileRoute);
+const CURRENT_CACHES = Array.from(new Set([
+    CRITICAL_CACHE,
+    STATIC_CACHE,
+    DYNAMIC_CACHE,
+    ...ROUTES.filter(route => route.cacheName).map(route => route.cacheName)
+]));
+
+// Header gravado em cada resposta precacheada com a revisão do manifest
+const REVISION_HEADER = 'X-Precache-Revision';
+
+// Precache por arquivo - cada URL é invalidada apenas quando seu hash muda
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+const PRECACHE_REVISIONS = new Map(PRECACHE_MANIFEST.map(entry => [entry.url, entry.revision]));
+
+// Limites por cache (entradas máximas, idade máxima, descarte LRU) definidos nas rotas
+const CACHE_EXPIRATION = buildCacheExpiration(ROUTES);
+
+// IndexedDB do service worker (timestamps de cache, outbox, telemetria, transições)
+const DB_NAME = 'dynamic-solutions-sw';
+const DB_VERSION = 4;
+const TIMESTAMP_STORE = 'cache-timestamps';
+const OUTBOX_STORE = 'outbox';
+const STATS_STORE = 'cache-stats';
+const TRANSITION_STORE = 'transitions';
+
+// Telemetria de cache por estratégia (consultada via GET_CACHE_STATS)
+const STRATEGY_NAMES = Array.from(new Set(ROUTES.filter(route => route.stats).map(route => route.stats)));
+const STATS_PERSIST_DELAY = 2000;
+
+// Outbox de submissões (leads, assessments) - reenvio via Background Sync
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+const OUTBOX_MAX_ATTEMPTS = 10;
+
+// Fallback offline - página precacheada via manifest
+const OFFLINE_PAGE = '/offline/index.html';
+
+// Páginas que não fazem parte da navegação (redirect raiz, offline, fragmentos)
+const NON_PAGE_ROUTES = new Set(['/index.html', OFFLINE_PAGE, '/about/neural-sales-system.html']);
 
-// Estratégia de precaching inteligente
-const PRECACHE_URLS = [
-    ...CACHE_STRATEGIES.critical,
-    '/image/Logo oficial.png'
-];
+// Prefetch preditivo - probabilidade da próxima página a partir das transições observadas
+const PREDICTION_MIN_PROBABILITY = 0.2;
+const PREDICTION_MAX_ROUTES = 2;
+const PREFETCH_BYTE_BUDGET = 300 * 1024;
 
-// Network-first com timeout para GitHub Pages
-const NETWORK_TIMEOUT = 3000;
+// Funil HOME → ABOUT → DASHBOARD/CAPABILITIES → ASSESSMENT: cada aresta vale uma transição
+// observada, para prever antes de existir histórico (o comportamento real domina rápido)
+const FUNNEL_TRANSITIONS = {
+    '/home/index.html': ['/about/index.html'],
+    '/about/index.html': ['/analytics-dashboard/index.html', '/capabilities/index.html'],
+    '/analytics-dashboard/index.html': ['/assessment/index.html'],
+    '/capabilities/index.html': ['/assessment/index.html']
+};
+
+// Placeholder para imagens indisponíveis offline
+const OFFLINE_IMAGE_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300" role="img" aria-label="Imagem indisponível offline">
+    <rect width="400" height="300" fill="#0A0A0A"/>
+    <rect x="1" y="1" width="398" height="298" fill="none" stroke="#D4AF37" stroke-opacity="0.3" stroke-width="2"/>
+    <path d="M170 175l20-25 15 18 10-12 25 19z" fill="none" stroke="#D4AF37" stroke-width="3" stroke-linejoin="round"/>
+    <circle cx="225" cy="128" r="8" fill="#D4AF37"/>
+    <text x="200" y="225" fill="#8E8E8E" font-family="Inter, sans-serif" font-size="14" text-anchor="middle">Disponível quando você estiver online</text>
+</svg>`;
 
 // Install event - aggressive precaching
 self.addEventListener('install', event => {
     console.log('[SW] Installing with aggressive caching strategy');
     
-    event.waitUntil(
-        Promise.all([
-            // Cache crítico
-            caches.open(CRITICAL_CACHE).then(cache => {
-                return cache.addAll(PRECACHE_URLS);
-            }),
-            // Preload critical resources
-            preloadCriticalResources(),
-            // Skip waiting para ativação imediata
-            self.skipWaiting()
-        ])
-    );
+    // Sem skipWaiting: o novo worker aguarda até a página enviar SKIP_WAITING
+    // (o usuário confirma a atualização no prompt do UltraPerformanceOptimizer)
+    // Bibliotecas e fontes de vendor/ entram pelo manifest como assets same-origin
+    event.waitUntil(precacheFromManifest());
+    
+    // Rotas bypass direto para a rede, sem fetch event (Static Routing API)
+    if (event.addRoutes) {
+        event.waitUntil(event.addRoutes(getStaticBypassRoutes()).catch(error => {
+            console.log('[SW] Static routes rejected:', error);
+        }));
+    }
 });
 
 // Activate event - limpar caches antigos
@@ -64,20 +97,22 @@ self.addEventListener('activate', event => {
     
     event.waitUntil(
         Promise.all([
-            // Limpar caches antigos
+            // Limpar caches antigos (inclusive os versionados por string)
             caches.keys().then(cacheNames => {
                 return Promise.all(
                     cacheNames
-                        .filter(cacheName => {
-                            return !cacheName.includes(CACHE_VERSION);
-                        })
+                        .filter(cacheName => !CURRENT_CACHES.includes(cacheName))
                         .map(cacheName => caches.delete(cacheName))
                 );
             }),
+            // Remover arquivos que saíram do manifest
+            cleanupPrecache(),
+            // Aplicar limites de expiração
+            ...Object.keys(CACHE_EXPIRATION).map(scheduleExpiration),
+            // Navigation preload para navegações com o worker ainda frio
+            enableNavigationPreload(),
             // Claim todos os clients
-            self.clients.claim(),
-            // Warm up cache
-            warmupCache()
+            self.clients.claim()
         ])
     );
 });
@@ -87,122 +122,376 @@ self.addEventListener('fetch', event => {
     const request = event.request;
     const url = new URL(request.url);
     
-    // Skip non-GET requests
-    if (request.method !== 'GET') return;
-    
     // Skip chrome extensions
     if (url.protocol === 'chrome-extension:') return;
     
-    // Skip analytics
-    if (url.hostname.includes('google-analytics')) return;
+    // Sem rota (ex.: métodos não GET fora do outbox) ou bypass explícito
+    const route = findRoute(request, url);
+    if (!route || route.strategy === 'bypass') return;
     
-    event.respondWith(handleRequest(request));
+    if (request.mode === 'navigate') {
+        // Evitar que o navigation preload seja cancelado quando a resposta vem do cache
+        if (event.preloadResponse) {
+            event.waitUntil(event.preloadResponse.catch(() => {}));
+        }
+        // Aprender a transição página → página para o prefetch preditivo
+        event.waitUntil(recordTransition(request, url));
+    }
+    
+    event.respondWith(handleRequest(request, event, route));
 });
 
-async function handleRequest(request) {
-    const url = new URL(request.url);
+// Estratégias disponíveis para a tabela de rotas
+const STRATEGY_HANDLERS = {
+    streamPrecached: (request, options) => streamPrecachedNavigation(options.event, options),
+    cacheFirst: cacheFirstStrategy,
+    staleWhileRevalidate: staleWhileRevalidateStrategy,
+    networkFirst: networkFirstStrategy,
+    outbox: handleOutboxSubmission
+};
+
+async function handleRequest(request, event, route = findRoute(request, new URL(request.url))) {
+    const precacheKey = getPrecacheKey(new URL(request.url));
     
-    // Estratégia para recursos críticos - Cache First com Network Update
-    if (CACHE_STRATEGIES.critical.some(path => url.pathname === path || url.pathname.endsWith(path))) {
-        return cacheFirstStrategy(request, CRITICAL_CACHE);
-    }
+    return STRATEGY_HANDLERS[route.strategy](request, {
+        event,
+        cacheName: route.cacheName,
+        cacheKey: route.cacheName === CRITICAL_CACHE && precacheKey ? precacheKey : request,
+        strategy: route.stats,
+        timeout: route.networkTimeout,
+        fallbackUrl: route.offlineFallback,
+        preloadResponse: request.mode === 'navigate' ? event.preloadResponse : undefined
+    });
+}
+
+// ===== TABELA DE ROTAS (sw-routes.js) =====
+
+function compileRoute(route) {
+    const match = route.match || {};
     
-    // Estratégia para recursos estáticos - Stale While Revalidate
-    if (request.destination === 'style' || request.destination === 'script' || request.destination === 'image') {
-        return staleWhileRevalidateStrategy(request, STATIC_CACHE);
-    }
+    return {
+        ...route,
+        cacheName: route.cacheName ? `${CACHE_PREFIX}-${route.cacheName}` : null,
+        networkTimeout: (route.networkTimeoutSeconds || 5) * 1000,
+        method: (match.method || 'GET').toUpperCase(),
+        pathPattern: match.path ? globToRegExp(match.path) : null,
+        originPatterns: Array.isArray(match.origin) ? match.origin.map(globToRegExp) : null
+    };
+}
+
+// Primeira rota cuja condição casa com a requisição
+function findRoute(request, url) {
+    return ROUTES.find(route => matchesRoute(route, request, url)) || null;
+}
+
+function matchesRoute(route, request, url) {
+    const match = route.match || {};
+    const isSameOrigin = url.origin === self.location.origin;
     
-    // Estratégia para recursos externos - Network First com Cache Fallback
-    if (!url.hostname.includes(location.hostname)) {
-        return networkFirstStrategy(request, DYNAMIC_CACHE);
-    }
+    if (request.method !== route.method) return false;
+    if (match.mode && request.mode !== match.mode) return false;
+    if (match.destination && !match.destination.includes(request.destination)) return false;
+    if (match.precached && !getPrecacheKey(url)) return false;
+    if (match.origin === 'self' && !isSameOrigin) return false;
+    if (match.origin === 'cross-origin' && isSameOrigin) return false;
+    if (route.originPatterns && !route.originPatterns.some(pattern => pattern.test(url.origin))) return false;
+    if (route.pathPattern && !route.pathPattern.test(normalizePathname(url.pathname))) return false;
     
-    // Default - Network First
-    return networkFirstStrategy(request, DYNAMIC_CACHE);
+    return true;
+}
+
+// Rotas 'bypass' (só method/origin/path) como regras do Static Routing API. Sem elas o fetch
+// event ainda é despachado ao worker, que só não responde - e o sendBeacon disparado no pagehide
+// de uma página controlada (RUM) se perde com o documento já descartado.
+function getStaticBypassRoutes() {
+    return ROUTES
+        .filter(route => route.strategy === 'bypass')
+        .filter(route => Object.keys(route.match || {}).every(field => ['method', 'origin', 'path'].includes(field)))
+        .filter(route => route.match.origin !== 'cross-origin')
+        .flatMap(route => {
+            const origins = Array.isArray(route.match.origin) ? route.match.origin : [self.location.origin];
+            
+            return origins.map(origin => {
+                const [protocol, host] = origin.split('://');
+                return {
+                    condition: {
+                        urlPattern: new URLPattern({
+                            protocol,
+                            hostname: host.split(':')[0],
+                            port: host.split(':')[1] || '',
+                            pathname: route.match.path ? globToUrlPatternPath(route.match.path) : '*'
+                        }),
+                        requestMethod: route.method
+                    },
+                    source: 'network'
+                };
+            });
+        });
+}
+
+// Mesmo glob da tabela na sintaxe do URLPattern ('**' → '*', '*' → um segmento)
+function globToUrlPatternPath(glob) {
+    return glob
+        .split('**')
+        .map(part => part
+            .split('*')
+            .map(literal => literal.replace(/[:*?+(){}\\]/g, '\\$&'))
+            .join('([^/]*)'))
+        .join('*');
+}
+
+// Glob → RegExp: '**' casa qualquer sequência, '*' casa dentro de um segmento
+function globToRegExp(glob) {
+    const source = glob
+        .split('**')
+        .map(part => part
+            .split('*')
+            .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]*'))
+        .join('.*');
+    
+    return new RegExp(`^${source}$`);
+}
+
+// Rotas que compartilham um cache ficam com o limite mais restritivo
+function buildCacheExpiration(routes) {
+    const expiration = {};
+    
+    routes.filter(route => route.cacheName && route.expiration).forEach(route => {
+        const current = expiration[route.cacheName];
+        expiration[route.cacheName] = current
+            ? {
+                maxEntries: Math.min(current.maxEntries, route.expiration.maxEntries),
+                maxAgeSeconds: Math.min(current.maxAgeSeconds, route.expiration.maxAgeSeconds)
+            }
+            : { ...route.expiration };
+    });
+    
+    return expiration;
 }
 
 // Cache First Strategy - Para páginas críticas
-async function cacheFirstStrategy(request, cacheName) {
+// options (montado a partir da rota): cacheName, cacheKey, strategy (bucket de telemetria), timeout
+async function cacheFirstStrategy(request, { cacheName, cacheKey = request, strategy, timeout, fallbackUrl }) {
     try {
         const cache = await caches.open(cacheName);
-        const cachedResponse = await cache.match(request);
+        const cachedResponse = await cache.match(cacheKey);
         
         if (cachedResponse) {
+            recordCacheEvent(strategy, 'hits');
             // Background update
-            updateCacheInBackground(request, cache);
+            updateCacheInBackground(request, cache, cacheKey);
             return cachedResponse;
         }
         
         // Se não tem cache, buscar na network
-        const networkResponse = await fetchWithTimeout(request);
-        cache.put(request.clone(), networkResponse.clone());
+        recordCacheEvent(strategy, 'misses');
+        const networkResponse = await fetchWithTimeout(request, timeout);
+        
+        // Só respostas ok recebem a revisão: uma página de erro gravada como atual não seria
+        // baixada de novo pelo precacheFromManifest até o hash mudar
+        if (networkResponse.ok) {
+            withPrecacheRevision(cacheKey, networkResponse.clone())
+                .then(response => cache.put(cacheKey, response))
+                .catch(error => console.log('[SW] Failed to cache response:', error));
+        }
         return networkResponse;
         
     } catch (error) {
         console.log('[SW] Cache first failed:', error);
-        return new Response('Offline', { status: 503 });
+        recordNetworkError(strategy, error);
+        return offlineFallback(request, strategy, fallbackUrl);
     }
 }
 
 // Stale While Revalidate Strategy - Para assets estáticos
-async function staleWhileRevalidateStrategy(request, cacheName) {
+// (numa rota do cache 'critical', cacheKey é a URL do manifest e a revisão é mantida)
+async function staleWhileRevalidateStrategy(request, { cacheName, cacheKey = request, strategy, timeout, fallbackUrl }) {
     const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
+    const cachedResponse = await cache.match(cacheKey);
+    
+    if (cachedResponse) {
+        recordCacheEvent(strategy, 'hits');
+        touchCacheEntry(cacheName, request.url);
+    } else {
+        recordCacheEvent(strategy, 'misses');
+    }
     
     // Sempre tentar buscar versão atualizada
-    const networkResponsePromise = fetchWithTimeout(request)
+    const networkResponsePromise = fetchWithTimeout(request, timeout)
         .then(response => {
-            cache.put(request.clone(), response.clone());
+            if (response.ok) {
+                withPrecacheRevision(cacheKey, response.clone())
+                    .then(cacheableResponse => putInCache(cacheName, cacheKey, cacheableResponse))
+                    .catch(error => console.log('[SW] Failed to cache response:', error));
+            }
             return response;
         })
-        .catch(() => cachedResponse);
+        .catch(error => {
+            recordNetworkError(strategy, error);
+            return cachedResponse || offlineFallback(request, strategy, fallbackUrl);
+        });
     
     // Retornar cache imediatamente se disponível
     return cachedResponse || networkResponsePromise;
 }
 
 // Network First Strategy - Para conteúdo dinâmico
-async function networkFirstStrategy(request, cacheName) {
+async function networkFirstStrategy(request, { cacheName, strategy, timeout, preloadResponse, fallbackUrl }) {
     try {
-        const networkResponse = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+        const networkResponse = (await preloadResponse) || await fetchWithTimeout(request, timeout);
+        recordCacheEvent(strategy, 'misses');
         
         // Cache successful responses
         if (networkResponse.status === 200) {
-            const cache = await caches.open(cacheName);
-            cache.put(request.clone(), networkResponse.clone());
+            putInCache(cacheName, request.clone(), networkResponse.clone());
         }
         
         return networkResponse;
         
     } catch (error) {
+        recordNetworkError(strategy, error);
+        
         // Fallback para cache
         const cache = await caches.open(cacheName);
         const cachedResponse = await cache.match(request);
         
         if (cachedResponse) {
+            recordCacheEvent(strategy, 'hits');
+            touchCacheEntry(cacheName, request.url);
+            return cachedResponse;
+        }
+        
+        return offlineFallback(request, strategy, fallbackUrl);
+    }
+}
+
+// Navegação para página precacheada: o corpo é transmitido do cache (ou da rede) enquanto
+// revalidação e telemetria seguem em waitUntil. Status e headers são os da resposta de origem;
+// respostas não ok (404, página offline com 503) passam sem stream
+async function streamPrecachedNavigation(event, { cacheName, cacheKey: precacheKey, strategy, timeout }) {
+    const { request } = event;
+    
+    const sourceResponse = await (async () => {
+        const cache = await caches.open(cacheName);
+        const cachedResponse = await cache.match(precacheKey);
+        
+        if (cachedResponse) {
+            recordCacheEvent(strategy, 'hits');
+            // Revalidar com a resposta do navigation preload (sem segundo fetch)
+            event.waitUntil(updateCacheInBackground(request, cache, precacheKey, getNavigationResponse(event, timeout)));
             return cachedResponse;
         }
         
-        throw error;
+        recordCacheEvent(strategy, 'misses');
+        
+        try {
+            const networkResponse = await getNavigationResponse(event, timeout);
+            if (networkResponse.status === 200) {
+                event.waitUntil(withPrecacheRevision(precacheKey, networkResponse.clone())
+                    .then(response => cache.put(precacheKey, response)));
+            }
+            return networkResponse;
+        } catch (error) {
+            recordNetworkError(strategy, error);
+            return offlineFallback(request, strategy);
+        }
+    })();
+    
+    if (!sourceResponse.ok || !sourceResponse.body) {
+        return sourceResponse;
     }
+    
+    const { readable, writable } = new TransformStream();
+    
+    event.waitUntil(
+        sourceResponse.body.pipeTo(writable).catch(error => {
+            console.log('[SW] Navigation stream failed:', error);
+            writable.abort(error).catch(() => {});
+        })
+    );
+    
+    return new Response(readable, {
+        status: sourceResponse.status,
+        statusText: sourceResponse.statusText,
+        headers: sourceResponse.headers
+    });
+}
+
+// Resposta de rede para uma navegação: navigation preload quando disponível
+async function getNavigationResponse(event, timeout) {
+    const preloadResponse = await event.preloadResponse;
+    return preloadResponse || fetchWithTimeout(event.request, timeout);
 }
 
-// Fetch com timeout para evitar hang
-function fetchWithTimeout(request, timeout = 5000) {
+async function enableNavigationPreload() {
+    if (self.registration.navigationPreload) {
+        await self.registration.navigationPreload.enable();
+    }
+}
+
+// Fallback quando não há rede nem cache: página offline ou placeholder de imagem
+// fallbackUrl: offlineFallback da rota, um arquivo do precache (ex.: logo original no lugar
+// da variante responsiva que o aparelho nunca baixou)
+async function offlineFallback(request, strategy, fallbackUrl) {
+    if (strategy) {
+        recordCacheEvent(strategy, 'fallbacks');
+    }
+    
+    if (fallbackUrl) {
+        const fallbackResponse = await caches.match(fallbackUrl, { cacheName: CRITICAL_CACHE });
+        if (fallbackResponse) {
+            return fallbackResponse;
+        }
+    }
+    
+    if (request.mode === 'navigate') {
+        const offlinePage = await caches.match(OFFLINE_PAGE, { cacheName: CRITICAL_CACHE });
+        if (offlinePage) {
+            return offlinePage;
+        }
+    }
+    
+    if (request.destination === 'image') {
+        return new Response(OFFLINE_IMAGE_SVG, {
+            headers: {
+                'Content-Type': 'image/svg+xml',
+                'Cache-Control': 'no-store'
+            }
+        });
+    }
+    
+    return new Response('Offline', { status: 503 });
+}
+
+// Fetch com timeout para evitar hang (timeout vem da rota em sw-routes.js)
+function fetchWithTimeout(request, timeout) {
     return Promise.race([
         fetch(request),
         new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Network timeout')), timeout)
+            setTimeout(() => reject(createTimeoutError()), timeout)
         )
     ]);
 }
 
+function createTimeoutError() {
+    const error = new Error('Network timeout');
+    error.name = 'TimeoutError';
+    return error;
+}
+
 // Update cache em background
-function updateCacheInBackground(request, cache) {
-    fetch(request)
-        .then(response => {
-            if (response.status === 200) {
-                cache.put(request.clone(), response.clone());
+// Avisa as abas abertas na página quando o conteúdo mudou (CACHE_UPDATED)
+function updateCacheInBackground(request, cache, cacheKey = request, responsePromise = fetch(request)) {
+    return responsePromise
+        .then(async response => {
+            if (response.status !== 200) return;
+            
+            const previousResponse = await cache.match(cacheKey);
+            await cache.put(cacheKey, await withPrecacheRevision(cacheKey, response.clone()));
+            
+            if (previousResponse && await hasResponseChanged(previousResponse, response)) {
+                await notifyCacheUpdated(typeof cacheKey === 'string' ? cacheKey : cacheKey.url);
             }
         })
         .catch(() => {
@@ -210,43 +499,110 @@ function updateCacheInBackground(request, cache) {
         });
 }
 
-// Preload critical resources
-async function preloadCriticalResources() {
-    // Preload fonts
-    const fonts = [
-        'https://fonts.googleapis.com/css2?family=Playfair+Display:wght@400;500;600;700;800;900&display=swap',
-        'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
-    ];
+// Compara validadores HTTP e, na falta deles, o conteúdo byte a byte
+async function hasResponseChanged(previousResponse, nextResponse) {
+    for (const header of ['ETag', 'Last-Modified']) {
+        const previousValue = previousResponse.headers.get(header);
+        const nextValue = nextResponse.headers.get(header);
+        if (previousValue && nextValue) {
+            return previousValue !== nextValue;
+        }
+    }
+    
+    const [previousBody, nextBody] = await Promise.all([
+        previousResponse.arrayBuffer(),
+        nextResponse.arrayBuffer()
+    ]);
+    
+    if (previousBody.byteLength !== nextBody.byteLength) return true;
+    
+    const previousBytes = new Uint8Array(previousBody);
+    const nextBytes = new Uint8Array(nextBody);
+    return previousBytes.some((byte, index) => byte !== nextBytes[index]);
+}
+
+async function notifyCacheUpdated(url) {
+    const updatedUrl = new URL(url, self.location.origin);
+    const pathname = normalizePathname(updatedUrl.pathname);
+    const clients = await self.clients.matchAll({ type: 'window' });
     
-    const cache = await caches.open(STATIC_CACHE);
+    clients
+        .filter(client => normalizePathname(new URL(client.url).pathname) === pathname)
+        .forEach(client => client.postMessage({ type: 'CACHE_UPDATED', url: updatedUrl.href }));
+}
+
+// Precache incremental: só baixa URLs novas ou cuja revisão mudou
+async function precacheFromManifest() {
+    const cache = await caches.open(CRITICAL_CACHE);
     
     return Promise.all(
-        fonts.map(url => 
-            fetch(url, { mode: 'cors' })
-                .then(response => cache.put(url, response))
-                .catch(() => {})
-        )
+        PRECACHE_MANIFEST.map(async entry => {
+            const cachedResponse = await cache.match(entry.url);
+            if (cachedResponse && cachedResponse.headers.get(REVISION_HEADER) === entry.revision) {
+                return;
+            }
+            
+            const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+            if (!response.ok) {
+                throw new Error(`Precache failed for ${entry.url}: ${response.status}`);
+            }
+            
+            await cache.put(entry.url, await withRevision(response, entry.revision));
+        })
     );
 }
 
-// Warm up cache com recursos mais prováveis
-async function warmupCache() {
-    const criticalPages = [
-        '/about/index.html',
-        '/assessment/index.html'
-    ];
-    
+// Remove do cache crítico entradas precacheadas que não estão mais no manifest
+async function cleanupPrecache() {
     const cache = await caches.open(CRITICAL_CACHE);
+    const requests = await cache.keys();
     
     return Promise.all(
-        criticalPages.map(url => 
-            fetch(url)
-                .then(response => cache.put(url, response))
-                .catch(() => {})
-        )
+        requests.map(async request => {
+            const response = await cache.match(request);
+            const pathname = new URL(request.url).pathname;
+            
+            if (response && response.headers.has(REVISION_HEADER) && !PRECACHE_REVISIONS.has(pathname)) {
+                await cache.delete(request);
+            }
+        })
     );
 }
 
+// Copia a resposta gravando a revisão do manifest em um header
+async function withRevision(response, revision) {
+    const headers = new Headers(response.headers);
+    headers.set(REVISION_HEADER, revision);
+    
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Resposta de rede gravada sob uma URL do manifest leva a revisão atual, como no install: sem o
+// header o cleanupPrecache não a reconhece e o próximo install a baixa de novo
+async function withPrecacheRevision(cacheKey, response) {
+    const url = new URL(typeof cacheKey === 'string' ? cacheKey : cacheKey.url, self.location.origin);
+    const precacheKey = getPrecacheKey(url);
+    
+    return precacheKey ? withRevision(response, PRECACHE_REVISIONS.get(precacheKey)) : response;
+}
+
+// Chave do manifest para uma URL same-origin ('/about/' -> '/about/index.html')
+function getPrecacheKey(url) {
+    if (url.origin !== self.location.origin) return null;
+    
+    const pathname = normalizePathname(url.pathname);
+    return PRECACHE_REVISIONS.has(pathname) ? pathname : null;
+}
+
+// '/about/' e '/about/index.html' são a mesma página
+function normalizePathname(pathname) {
+    return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+}
+
 // Message handling para comunicação com páginas
 self.addEventListener('message', event => {
     if (event.data && event.data.type) {
@@ -258,32 +614,659 @@ self.addEventListener('message', event => {
                 cachePage(event.data.url);
                 break;
             case 'PREFETCH_ROUTES':
-                prefetchRoutes(event.data.routes);
+                event.waitUntil(prefetchRoutes(event.data.routes, event.data.byteBudget, event.data.device));
+                break;
+            case 'GET_PREDICTIONS':
+                replyToMessage(event, () => predictNextRoutes(event.data.from)
+                    .then(predictions => ({ type: 'PREDICTIONS', predictions })));
+                break;
+            case 'REPLAY_OUTBOX':
+                event.waitUntil(replayOutbox().catch(error => {
+                    console.log('[SW] Outbox replay incomplete:', error.message);
+                }));
+                break;
+            case 'GET_CACHE_STATS':
+                replyToMessage(event, () => getCacheStats()
+                    .then(stats => ({ type: 'CACHE_STATS', stats })));
+                break;
+            case 'GET_OFFLINE_ROUTES':
+                replyToMessage(event, () => getOfflineRoutes()
+                    .then(routes => ({ type: 'OFFLINE_ROUTES', routes })));
                 break;
         }
     }
 });
 
+// Pedidos GET_* respondem pelo MessageChannel da página; sem a porta não há a quem responder,
+// e numa falha a página fica sem resposta (requestFromServiceWorker resolve null no timeout)
+function replyToMessage(event, buildReply) {
+    const port = event.ports && event.ports[0];
+    if (!port) return;
+    
+    event.waitUntil(buildReply()
+        .then(reply => port.postMessage(reply))
+        .catch(error => {
+            console.log('[SW] Failed to reply to', event.data.type, error);
+        }));
+}
+
 // Cache específico de página
 async function cachePage(url) {
-    const cache = await caches.open(DYNAMIC_CACHE);
     try {
         const response = await fetch(url);
-        await cache.put(url, response);
+        await putInCache(DYNAMIC_CACHE, url, response);
     } catch (error) {
         console.log('[SW] Failed to cache page:', url);
     }
 }
 
-// Prefetch de rotas baseado em comportamento do usuário
-async function prefetchRoutes(routes) {
-    const cache = await caches.open(CRITICAL_CACHE);
+// Prefetch de rotas em ordem de prioridade até esgotar o orçamento de bytes. As páginas do funil
+// já estão no precache; o que falta para abrir a próxima sem rede são os subrecursos fora dele
+// (na prática as variantes do build de imagens). Para cada rota: a página (do cache ou da rede)
+// e, do HTML dela, scripts, folhas de estilo e a variante de cada <picture> que este aparelho
+// pediria (device: viewportWidth, devicePixelRatio e imageTypes enviados pela página).
+// O que já está em cache não consome orçamento.
+async function prefetchRoutes(routes = [], byteBudget = PREFETCH_BYTE_BUDGET, device = {}) {
+    const budget = { remaining: byteBudget, exhausted: false };
     
-    return Promise.all(
-        routes.map(route => 
-            fetch(route)
-                .then(response => cache.put(route, response))
-                .catch(() => {})
-        )
-    );
-}
\ No newline at end of file
+    for (const routeUrl of routes) {
+        const url = new URL(routeUrl, self.location.origin);
+        if (url.origin !== self.location.origin) continue;
+        
+        const page = await prefetchResource(url, { mode: 'navigate', destination: 'document' }, budget);
+        if (budget.exhausted) return;
+        if (!page) continue;
+        
+        for (const subresource of findPageSubresources(await page.text(), url, device)) {
+            await prefetchResource(subresource.url, { mode: 'no-cors', destination: subresource.destination }, budget);
+            if (budget.exhausted) return;
+        }
+    }
+}
+
+// Um recurso do prefetch: do cache quando já está lá; senão da rede, com o cache e o timeout da
+// rota que a requisição real usaria (mode e destination não são configuráveis num Request
+// construído, por isso a rota é escolhida pelo descritor). null quando falha, não tem rota ou
+// passaria do orçamento (budget.exhausted). Do precache só lê: quem grava nele é o install
+async function prefetchResource(url, { mode, destination }, budget) {
+    const precacheKey = getPrecacheKey(url);
+    const cached = await caches.match(precacheKey || url.href);
+    if (cached || precacheKey) return cached || null;
+    
+    const route = findRoute({ method: 'GET', mode, destination }, url);
+    if (!route || !route.cacheName) return null;
+    
+    try {
+        const request = new Request(url.href, { credentials: 'same-origin' });
+        const response = await fetchWithTimeout(request, route.networkTimeout);
+        if (!response.ok) return null;
+        
+        const size = Number(response.headers.get('Content-Length')) || (await response.clone().blob()).size;
+        if (size > budget.remaining) {
+            budget.exhausted = true;
+            return null;
+        }
+        
+        budget.remaining -= size;
+        await putInCache(route.cacheName, request, response.clone());
+        return response;
+    } catch (error) {
+        console.log('[SW] Prefetch failed:', url.pathname);
+        return null;
+    }
+}
+
+// Subrecursos do próprio site no HTML de uma página, na ordem do documento e sem repetição.
+// Sem DOMParser no worker: expressões para as tags que as páginas e os builds geram
+function findPageSubresources(html, pageUrl, device) {
+    const found = new Map();
+    const add = (value, destination) => {
+        if (!value || value.startsWith('data:')) return;
+        
+        const url = new URL(value, pageUrl);
+        if (url.origin === self.location.origin && !found.has(url.href)) {
+            found.set(url.href, { url, destination });
+        }
+    };
+    
+    const pattern = /<picture\b[\s\S]*?<\/picture>|<script\b[^>]*>|<link\b[^>]*>/g;
+    let match;
+    
+    while ((match = pattern.exec(html))) {
+        const tag = match[0];
+        
+        if (tag.startsWith('<picture')) {
+            if (device.viewportWidth) add(selectPictureCandidate(tag, device), 'image');
+        } else if (tag.startsWith('<script')) {
+            add(getTagAttribute(tag, 'src'), 'script');
+        } else if (/\srel="stylesheet"/.test(tag)) {
+            add(getTagAttribute(tag, 'href'), 'style');
+        }
+    }
+    
+    return Array.from(found.values());
+}
+
+function getTagAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+// A escolha do navegador num <picture>: o primeiro <source> de um formato suportado (senão o
+// <img>) e, no srcset, a menor largura que cobre o slot do sizes × devicePixelRatio
+function selectPictureCandidate(picture, { viewportWidth, devicePixelRatio = 1, imageTypes = [] }) {
+    const tags = picture.match(/<(?:source|img)\b[^>]*>/g) || [];
+    const chosen = tags.find(tag => {
+        const type = getTagAttribute(tag, 'type');
+        return tag.startsWith('<img') || !type || imageTypes.includes(type);
+    });
+    if (!chosen) return null;
+    
+    const srcset = getTagAttribute(chosen, 'srcset') || getTagAttribute(chosen, 'data-srcset');
+    if (!srcset) return getTagAttribute(chosen, 'data-src') || getTagAttribute(chosen, 'src');
+    
+    const candidates = srcset.split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .map(([url, descriptor = '']) => ({ url, width: descriptor.endsWith('w') ? parseInt(descriptor, 10) : NaN }));
+    const sized = candidates.filter(candidate => candidate.width > 0).sort((a, b) => a.width - b.width);
+    if (sized.length === 0) return candidates[0].url;
+    
+    const needed = resolveSizes(getTagAttribute(chosen, 'sizes'), viewportWidth) * devicePixelRatio;
+    return (sized.find(candidate => candidate.width >= needed) || sized[sized.length - 1]).url;
+}
+
+// Largura do slot (px CSS) pelo atributo sizes, com as media conditions que o build de imagens
+// gera ((max-width: Npx) / (min-width: Npx)); o valor sem condição vale para o resto
+function resolveSizes(sizes, viewportWidth) {
+    for (const entry of (sizes || '100vw').split(',')) {
+        const match = entry.trim().match(/^(?:\((max|min)-width:\s*(\d+)px\)\s*)?(\d+(?:\.\d+)?)(px|vw)$/);
+        if (!match) continue;
+        
+        const [, condition, limit, value, unit] = match;
+        if (condition === 'max' && viewportWidth > Number(limit)) continue;
+        if (condition === 'min' && viewportWidth < Number(limit)) continue;
+        
+        return unit === 'vw' ? Number(value) * viewportWidth / 100 : Number(value);
+    }
+    
+    return viewportWidth;
+}
+
+// Índice de páginas HTML disponíveis offline (critical + dynamic)
+async function getOfflineRoutes() {
+    const routes = new Set();
+    
+    for (const cacheName of [CRITICAL_CACHE, DYNAMIC_CACHE]) {
+        const cache = await caches.open(cacheName);
+        const requests = await cache.keys();
+        
+        requests.forEach(request => {
+            const url = new URL(request.url);
+            const pathname = normalizePathname(url.pathname);
+            
+            if (url.origin === self.location.origin && pathname.endsWith('.html')) {
+                routes.add(pathname);
+            }
+        });
+    }
+    
+    // Sem a própria página offline, o redirect raiz e fragmentos
+    return Array.from(routes).filter(route => !NON_PAGE_ROUTES.has(route));
+}
+
+// Background Sync - reenviar submissões pendentes
+self.addEventListener('sync', event => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+// ===== EXPIRAÇÃO DE CACHE (IndexedDB + LRU) =====
+
+let dbPromise = null;
+const expirationQueues = new Map();
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TIMESTAMP_STORE)) {
+                    const store = db.createObjectStore(TIMESTAMP_STORE, { keyPath: 'id' });
+                    store.createIndex('cacheName', 'cacheName');
+                }
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(STATS_STORE)) {
+                    db.createObjectStore(STATS_STORE, { keyPath: 'strategy' });
+                }
+                if (!db.objectStoreNames.contains(TRANSITION_STORE)) {
+                    const store = db.createObjectStore(TRANSITION_STORE, { keyPath: ['from', 'to'] });
+                    store.createIndex('from', 'from');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Permitir nova tentativa se o banco falhar ao abrir
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    
+    return dbPromise;
+}
+
+// Executa operações em uma object store e resolve quando a transação termina
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        let result;
+        
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+        
+        callback(transaction.objectStore(storeName), value => {
+            result = value;
+        });
+    });
+}
+
+// Cache put com registro de timestamp e limpeza do cache em seguida
+async function putInCache(cacheName, request, response) {
+    const cache = await caches.open(cacheName);
+    const url = typeof request === 'string' ? new URL(request, self.location.origin).href : request.url;
+    
+    await cache.put(request, response);
+    
+    if (CACHE_EXPIRATION[cacheName]) {
+        await recordCacheEntry(cacheName, url, true);
+        scheduleExpiration(cacheName);
+    }
+}
+
+// Atualiza lastAccessed (LRU) a cada hit
+function touchCacheEntry(cacheName, url) {
+    if (CACHE_EXPIRATION[cacheName]) {
+        recordCacheEntry(cacheName, url, false);
+    }
+}
+
+async function recordCacheEntry(cacheName, url, isNewResponse) {
+    const id = `${cacheName}|${url}`;
+    const now = Date.now();
+    
+    try {
+        await withStore(TIMESTAMP_STORE, 'readwrite', store => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                store.put({
+                    id,
+                    cacheName,
+                    url,
+                    storedAt: isNewResponse || !existing ? now : existing.storedAt,
+                    lastAccessed: now
+                });
+            };
+        });
+    } catch (error) {
+        console.log('[SW] Failed to record cache timestamp:', error);
+    }
+}
+
+// Serializa as limpezas por cache para evitar exclusões concorrentes
+function scheduleExpiration(cacheName) {
+    const previous = expirationQueues.get(cacheName) || Promise.resolve();
+    const next = previous
+        .then(() => expireCache(cacheName))
+        .catch(error => console.log('[SW] Cache expiration failed:', cacheName, error));
+    
+    expirationQueues.set(cacheName, next);
+    return next;
+}
+
+async function expireCache(cacheName) {
+    const policy = CACHE_EXPIRATION[cacheName];
+    if (!policy) return;
+    
+    const cache = await caches.open(cacheName);
+    const cachedUrls = new Set((await cache.keys()).map(request => request.url));
+    
+    const records = await withStore(TIMESTAMP_STORE, 'readonly', (store, setResult) => {
+        const getAllRequest = store.index('cacheName').getAll(cacheName);
+        getAllRequest.onsuccess = () => setResult(getAllRequest.result);
+    });
+    
+    const now = Date.now();
+    const trackedUrls = new Set(records.map(record => record.url));
+    const orphanRecords = records.filter(record => !cachedUrls.has(record.url));
+    const liveRecords = records.filter(record => cachedUrls.has(record.url));
+    
+    // Entradas sem timestamp (ex.: criadas antes do controle) são as primeiras a sair
+    const untracked = Array.from(cachedUrls)
+        .filter(url => !trackedUrls.has(url))
+        .map(url => ({ id: `${cacheName}|${url}`, url, storedAt: now, lastAccessed: 0 }));
+    
+    const expired = liveRecords.filter(record => now - record.storedAt > policy.maxAgeSeconds * 1000);
+    const overflow = [...liveRecords.filter(record => !expired.includes(record)), ...untracked]
+        .sort((a, b) => b.lastAccessed - a.lastAccessed)
+        .slice(policy.maxEntries);
+    
+    const evicted = [...expired, ...overflow];
+    
+    await Promise.all(evicted.map(record => cache.delete(record.url)));
+    
+    if (evicted.length > 0 || orphanRecords.length > 0) {
+        await withStore(TIMESTAMP_STORE, 'readwrite', store => {
+            [...evicted, ...orphanRecords].forEach(record => store.delete(record.id));
+        });
+    }
+    
+    if (evicted.length > 0) {
+        console.log(`[SW] Expired ${evicted.length} entries from ${cacheName}`);
+    }
+}
+
+// ===== OUTBOX DE SUBMISSÕES (Background Sync) =====
+
+let outboxReplay = null;
+
+// Tenta enviar; sem rede (ou erro 5xx) a submissão vai para o outbox e retorna 202.
+// O X-Submission-Id é o mesmo na primeira tentativa e em todo reenvio: um timeout não garante
+// que o POST não chegou, e o servidor deduplica por ele.
+async function handleOutboxSubmission(request, { timeout }) {
+    const submissionId = request.headers.get('X-Submission-Id') || self.crypto.randomUUID();
+    const entry = {
+        submissionId,
+        url: request.url,
+        headers: {
+            'Content-Type': request.headers.get('Content-Type') || 'application/json',
+            'X-Submission-Id': submissionId
+        },
+        body: await request.text(),
+        timeout,
+        createdAt: Date.now(),
+        attempts: 0
+    };
+    
+    try {
+        const response = await sendOutboxEntry(entry);
+        if (response.status < 500) {
+            return response;
+        }
+    } catch (error) {
+        console.log('[SW] Submission failed, queueing:', request.url);
+    }
+    
+    const id = await addToOutbox(entry);
+    await registerOutboxSync();
+    notifyOutboxStatus({ id, submissionId, url: entry.url, status: 'queued' });
+    
+    return new Response(JSON.stringify({ status: 'queued', id, submissionId }), {
+        status: 202,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Outbox-Status': 'queued'
+        }
+    });
+}
+
+async function registerOutboxSync() {
+    // Sem Background Sync, as páginas pedem REPLAY_OUTBOX no evento 'online'
+    if (!self.registration.sync) return;
+    
+    try {
+        await self.registration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (error) {
+        console.log('[SW] Background Sync registration failed:', error);
+    }
+}
+
+function sendOutboxEntry(entry) {
+    return fetchWithTimeout(new Request(entry.url, {
+        method: 'POST',
+        headers: entry.headers,
+        body: entry.body
+    }), entry.timeout);
+}
+
+function addToOutbox(entry) {
+    return withStore(OUTBOX_STORE, 'readwrite', (store, setResult) => {
+        const addRequest = store.add(entry);
+        addRequest.onsuccess = () => setResult(addRequest.result);
+    });
+}
+
+function getOutboxEntries() {
+    return withStore(OUTBOX_STORE, 'readonly', (store, setResult) => {
+        const getAllRequest = store.getAll();
+        getAllRequest.onsuccess = () => setResult(getAllRequest.result);
+    });
+}
+
+function updateOutboxEntry(entry) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+}
+
+function removeOutboxEntry(id) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Reenvia o outbox em ordem; rejeita se algo ficou pendente para o sync tentar de novo
+function replayOutbox() {
+    if (!outboxReplay) {
+        outboxReplay = flushOutbox().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    
+    return outboxReplay;
+}
+
+async function flushOutbox() {
+    const entries = await getOutboxEntries();
+    let pending = 0;
+    
+    for (const entry of entries) {
+        try {
+            const response = await sendOutboxEntry(entry);
+            
+            if (response.status >= 500) {
+                throw new Error(`Server error ${response.status}`);
+            }
+            
+            // 4xx não melhora com retry - descartar e avisar a página
+            await removeOutboxEntry(entry.id);
+            notifyOutboxStatus({
+                id: entry.id,
+                submissionId: entry.submissionId,
+                url: entry.url,
+                status: response.ok ? 'sent' : 'failed'
+            });
+            
+        } catch (error) {
+            entry.attempts++;
+            
+            if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                await removeOutboxEntry(entry.id);
+                notifyOutboxStatus({ id: entry.id, submissionId: entry.submissionId, url: entry.url, status: 'failed' });
+            } else {
+                await updateOutboxEntry(entry);
+                pending++;
+            }
+        }
+    }
+    
+    if (pending > 0) {
+        throw new Error(`${pending} submissions still pending`);
+    }
+}
+
+// Só avisa as páginas: uma falha aqui não pode interromper o envio nem o replay
+async function notifyOutboxStatus(detail) {
+    try {
+        const pending = (await getOutboxEntries()).length;
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        
+        clients.forEach(client => {
+            client.postMessage({ type: 'OUTBOX_STATUS', ...detail, pending });
+        });
+    } catch (error) {
+        console.log('[SW] Failed to notify outbox status:', error);
+    }
+}
+
+// ===== TELEMETRIA DE CACHE =====
+// hits: resposta servida do cache | misses: servida da network
+// networkTimeouts: fetchWithTimeout estourou | fallbacks: página offline/placeholder
+
+let cacheStatsPromise = null;
+let statsPersistTimer = null;
+
+function createEmptyStats() {
+    return { hits: 0, misses: 0, networkTimeouts: 0, fallbacks: 0, since: Date.now() };
+}
+
+// Contadores em memória, restaurados do IndexedDB na primeira consulta
+function loadCacheStats() {
+    if (!cacheStatsPromise) {
+        cacheStatsPromise = (async () => {
+            const stats = {};
+            STRATEGY_NAMES.forEach(strategy => {
+                stats[strategy] = createEmptyStats();
+            });
+            
+            try {
+                const records = await withStore(STATS_STORE, 'readonly', (store, setResult) => {
+                    const getAllRequest = store.getAll();
+                    getAllRequest.onsuccess = () => setResult(getAllRequest.result);
+                });
+                
+                records.forEach(({ strategy, ...counters }) => {
+                    if (stats[strategy]) {
+                        Object.assign(stats[strategy], counters);
+                    }
+                });
+            } catch (error) {
+                console.log('[SW] Failed to restore cache stats:', error);
+            }
+            
+            return stats;
+        })();
+    }
+    
+    return cacheStatsPromise;
+}
+
+function recordCacheEvent(strategy, event) {
+    loadCacheStats().then(stats => {
+        stats[strategy][event]++;
+        scheduleStatsPersist();
+    });
+}
+
+function recordNetworkError(strategy, error) {
+    if (error && error.name === 'TimeoutError') {
+        recordCacheEvent(strategy, 'networkTimeouts');
+    }
+}
+
+function scheduleStatsPersist() {
+    if (statsPersistTimer) return;
+    
+    statsPersistTimer = setTimeout(async () => {
+        statsPersistTimer = null;
+        const stats = await loadCacheStats();
+        
+        try {
+            await withStore(STATS_STORE, 'readwrite', store => {
+                STRATEGY_NAMES.forEach(strategy => store.put({ strategy, ...stats[strategy] }));
+            });
+        } catch (error) {
+            console.log('[SW] Failed to persist cache stats:', error);
+        }
+    }, STATS_PERSIST_DELAY);
+}
+
+// Snapshot com hit rate por estratégia e total
+async function getCacheStats() {
+    const stats = await loadCacheStats();
+    const total = createEmptyStats();
+    const snapshot = {};
+    
+    STRATEGY_NAMES.forEach(strategy => {
+        const counters = stats[strategy];
+        snapshot[strategy] = { ...counters, hitRate: calculateHitRate(counters) };
+        
+        ['hits', 'misses', 'networkTimeouts', 'fallbacks'].forEach(key => {
+            total[key] += counters[key];
+        });
+        total.since = Math.min(total.since, counters.since);
+    });
+    
+    snapshot.total = { ...total, hitRate: calculateHitRate(total) };
+    return snapshot;
+}
+
+function calculateHitRate({ hits, misses }) {
+    return hits + misses > 0 ? hits / (hits + misses) : null;
+}
+
+// ===== PREFETCH PREDITIVO (transições de navegação) =====
+
+// Conta a navegação referrer → página no IndexedDB (apenas páginas do próprio site).
+// Prefetch e prerender (Sec-Purpose) não são navegações do usuário e não contam
+async function recordTransition(request, url) {
+    if (!request.referrer || request.headers.has('Sec-Purpose')) return;
+    
+    const referrerUrl = new URL(request.referrer);
+    if (referrerUrl.origin !== self.location.origin || url.origin !== self.location.origin) return;
+    
+    const from = normalizePathname(referrerUrl.pathname);
+    const to = normalizePathname(url.pathname);
+    if (from === to || NON_PAGE_ROUTES.has(from) || NON_PAGE_ROUTES.has(to)) return;
+    
+    try {
+        await withStore(TRANSITION_STORE, 'readwrite', store => {
+            const getRequest = store.get([from, to]);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                store.put({ from, to, count: (existing ? existing.count : 0) + 1, lastSeen: Date.now() });
+            };
+        });
+    } catch (error) {
+        console.log('[SW] Failed to record transition:', error);
+    }
+}
+
+// Tabela de probabilidade da próxima página: transições observadas + arestas do funil
+async function predictNextRoutes(from = '/') {
+    const pathname = normalizePathname(new URL(from, self.location.origin).pathname);
+    const counts = new Map((FUNNEL_TRANSITIONS[pathname] || []).map(route => [route, 1]));
+    
+    try {
+        const records = await withStore(TRANSITION_STORE, 'readonly', (store, setResult) => {
+            const getAllRequest = store.index('from').getAll(pathname);
+            getAllRequest.onsuccess = () => setResult(getAllRequest.result);
+        });
+        
+        records.forEach(({ to, count }) => counts.set(to, (counts.get(to) || 0) + count));
+    } catch (error) {
+        console.log('[SW] Failed to read transitions:', error);
+    }
+    
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    
+    return Array.from(counts, ([url, count]) => ({ url, probability: count / total }))
+        .filter(prediction => prediction.probability >= PREDICTION_MIN_PROBABILITY)
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, PREDICTION_MAX_ROUTES);
+}
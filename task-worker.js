@@ -0,0 +1,75 @@
+// Dynamic Solutions Task Worker
+// Handlers do runTask (performance-optimizer.js), chamados pelo nome. Carregado como worker do
+// pool e, nas páginas que usam tasks, como script comum para o fallback no main thread - nenhum
+// código trafega como string, então funciona com CSP sem 'unsafe-eval' nem blob:.
+//
+// Para uma nova task basta adicionar um handler aqui: função que só recebe dados e devolve dados
+// (sem DOM), com o resultado clonável pelo postMessage.
+
+self.ultraTaskHandlers = {
+    // Série reduzida para o gráfico do analytics-dashboard: pontos amostrados (no máximo
+    // maxPoints), máximo global para normalizar as barras e vantagem final da IA
+    'aggregate-chart-series'({ labels, traditional, ai, maxPoints }) {
+        const displayCount = Math.min(maxPoints, labels.length);
+        const step = Math.max(1, Math.floor(labels.length / displayCount));
+        const points = [];
+
+        for (let i = 0; i < displayCount && i * step < labels.length; i++) {
+            const index = i * step;
+            points.push({ label: labels[index], traditional: traditional[index], ai: ai[index] });
+        }
+
+        const finalTraditional = traditional[traditional.length - 1];
+        const finalAI = ai[ai.length - 1];
+
+        return {
+            points,
+            globalMax: Math.max(...traditional, ...ai),
+            advantage: ((finalAI - finalTraditional) / finalTraditional * 100).toFixed(0)
+        };
+    },
+
+    // Perfil psicológico do strategic assessment a partir dos perfis das respostas
+    'score-assessment'(answerProfiles) {
+        const profile = {
+            controlNeed: 0,
+            statusAnxiety: 0,
+            competitiveEgo: 0,
+            lossAversion: 0,
+            intellectualPride: 0
+        };
+
+        answerProfiles.forEach(answerProfile => {
+            Object.keys(answerProfile).forEach(trait => {
+                profile[trait] += answerProfile[trait];
+            });
+        });
+
+        return {
+            profile,
+            totalVulnerability: profile.statusAnxiety + profile.lossAversion + Math.abs(profile.intellectualPride),
+            // Dominant trait analysis
+            dominantTrait: Object.keys(profile).reduce((a, b) =>
+                Math.abs(profile[a]) > Math.abs(profile[b]) ? a : b
+            )
+        };
+    }
+};
+
+// Só dentro do worker: { id, name, payload } → { id, result } ou { id, error }
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async event => {
+        const { id, name, payload } = event.data;
+
+        try {
+            if (!Object.prototype.hasOwnProperty.call(self.ultraTaskHandlers, name)) {
+                throw new Error(`Task não registrada: ${name}`);
+            }
+
+            const result = await self.ultraTaskHandlers[name](payload);
+            self.postMessage({ id, result });
+        } catch (error) {
+            self.postMessage({ id, error: { name: error.name, message: error.message } });
+        }
+    };
+}